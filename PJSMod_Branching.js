@@ -0,0 +1,150 @@
+/*
+This module evaluates the branching conditions used by the questionnaire in
+PJSMod_Questionnaire.js. It has no PsychoJS dependencies, so it can also be
+used on its own to check survey logic outside of the browser.
+
+A condition is a JSON object of one of the following forms:
+
+  { all: [<condition>, ...] }   True if every condition is true (and)
+  { any: [<condition>, ...] }   True if at least one condition is true (or)
+  { not: <condition> }          True if the condition is false
+  true / false                  Constant conditions
+
+or a comparison against an earlier answer:
+
+  {
+    question: ___ Name or index of the question being referred to
+    score?: ___ Or, name of a subscale score of a finished survey set, given
+                with set (see PJSMod_Scoring.js)
+    set?: ___ Survey set of the question, defaults to the current set
+    field?: ___ "value" (default) or "choice" (the key that was pressed)
+    equals?: ___ Answer is equal to this (case-insensitive for text)
+    notEquals?: ___ Answer is not equal to this
+    in?: [...] Answer is equal to one of these
+    notIn?: [...] Answer is equal to none of these
+    contains?: ___ For multi-select answers, this is one of the selected
+    gt?, gte?, lt?, lte?: ___ Numeric comparisons on the answer
+    between?: [min, max] Answer is numerically within the range (inclusive)
+    answered?: true / false Whether the question was answered at all
+  }
+
+If several operators are given in one comparison they must all hold. Any
+comparison other than `answered` is false when the question was not answered.
+
+Example: ask about medication only if age >= 18 and diagnosis is "yes"
+
+  "showIf": {
+    "all": [
+      { "question": "age", "gte": 18 },
+      { "question": "diagnosis", "field": "choice", "equals": "y" }
+    ]
+  }
+*/
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+// Operators which can be used in a comparison
+export const CONDITION_OPERATORS = [
+  'equals', 'notEquals', 'in', 'notIn', 'contains', 'gt', 'gte', 'lt', 'lte',
+  'between', 'answered'];
+
+/* -------------------------------------------------------------------------- */
+/*                                 Conditions                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Evaluates a condition. lookup(reference) is given the comparison object
+ * ({question, set?}) and returns the recorded response for that question, or
+ * undefined if it was never answered.
+ */
+export function evaluateCondition(condition, lookup) {
+  if (condition === undefined || condition === null) {
+    return true;
+  }
+  if (typeof condition === 'boolean') {
+    return condition;
+  }
+  if (condition.all) {
+    return condition.all.every((el) => evaluateCondition(el, lookup));
+  }
+  if (condition.any) {
+    return condition.any.some((el) => evaluateCondition(el, lookup));
+  }
+  if (condition.not !== undefined) {
+    return !evaluateCondition(condition.not, lookup);
+  }
+
+  let response = lookup(condition);
+  let answered = response !== undefined && response !== null &&
+    response[condition.field || 'value'] !== undefined &&
+    response[condition.field || 'value'] !== null;
+  if (condition.answered !== undefined && condition.answered != answered) {
+    return false;
+  }
+  let operators = CONDITION_OPERATORS.filter(
+    (op) => op !== 'answered' && condition[op] !== undefined);
+  if (operators.length == 0) {
+    return true;
+  }
+  if (!answered) {
+    return false;
+  }
+  let answer = response[condition.field || 'value'];
+  return operators.every((op) => _compare(op, answer, condition[op]));
+}
+
+/**
+ * Returns every comparison in a condition, which each refer to an answer
+ */
+export function conditionReferences(condition) {
+  if (condition === undefined || condition === null || typeof condition === 'boolean') {
+    return [];
+  }
+  if (condition.all || condition.any) {
+    return (condition.all || condition.any).flatMap((el) => conditionReferences(el));
+  }
+  if (condition.not !== undefined) {
+    return conditionReferences(condition.not);
+  }
+  return [condition];
+}
+
+// Applies a single comparison operator to an answer
+function _compare(op, answer, target) {
+  switch (op) {
+    case 'equals':
+      return _equals(answer, target);
+    case 'notEquals':
+      return !_equals(answer, target);
+    case 'in':
+      return target.some((el) => _equals(answer, el));
+    case 'notIn':
+      return !target.some((el) => _equals(answer, el));
+    case 'contains':
+      return [].concat(answer).some((el) => _equals(el, target));
+    case 'gt':
+      return _number(answer) > target;
+    case 'gte':
+      return _number(answer) >= target;
+    case 'lt':
+      return _number(answer) < target;
+    case 'lte':
+      return _number(answer) <= target;
+    case 'between':
+      return _number(answer) >= target[0] && _number(answer) <= target[1];
+    default:
+      return false;
+  }
+}
+
+// Answers typed in are strings, so compare everything as lowercase text
+function _equals(answer, target) {
+  return String(answer).toLowerCase() === String(target).toLowerCase();
+}
+
+// Converts an answer to a number, NaN (which fails every comparison) if empty
+function _number(answer) {
+  return answer === '' ? NaN : Number(answer);
+}
@@ -0,0 +1,188 @@
+/*
+This module shows a set of instructions followed by a comprehension quiz, and
+shows the instructions and quiz again while any answers are wrong, using the
+modules in PJSMod_Instructions.js and PJSMod_Questionnaire.js.
+
+Example usage, where QUIZ is the resource name of a survey whose questions
+are DISCRETE with a correct key:
+
+import { ComprehensionCheck } from './PJSMod_ComprehensionCheck.js';
+
+...
+
+const Check = new ComprehensionCheck(psychoJS, Instructions, SurveyQuestions);
+flowScheduler.add(() => Instructions.initStimuli());
+flowScheduler.add(() => SurveyQuestions.initStimuli());
+Check.addCheck(flowScheduler, INSTRUCTIONS_1, "instr1", QUIZ, {
+  maxAttempts: ___ Attempts before giving up, 3 by default
+  minCorrect: ___ Answers needed to pass, every question asked by default
+  feedback: ___ If true, after a failed attempt the feedback of each wrong
+                answer is shown before the instructions start again
+  quitOnFail: ___ If true, the experiment ends if every attempt fails,
+                  otherwise it carries on
+  failMessage: ___ Message the experiment ends with if it does
+  instructions: {...} Options for the instructions, as for addInstructions
+});
+
+Quiz questions give the key of their correct option, and optionally feedback
+for when they are answered wrong:
+
+  {
+    index: 1,
+    question: "What do you press when you see a red circle?",
+    correct: "b",
+    feedback: "Press the left arrow only for red circles.",
+    input: { type: "DISCRETE", inputs: [...] }
+  }
+
+Each attempt saves a record named "<instructionsName>_check" to the survey
+module's data sinks:
+
+{
+  check: ___ Name of the instructions
+  attempt: ___ Starting from 1
+  correct: ___ Number of questions answered correctly
+  total: ___ Number of questions asked
+  wrong: [...] Indices of questions answered wrong
+  passed: ___
+}
+*/
+
+/* -------------------------------------------------------------------------
+ * PsychoJS Imports
+ * ------------------------------------------------------------------------- */
+
+import { PsychoJS } from 'https://pavlovia.org/lib/core-3.2.js';
+import * as core from 'https://pavlovia.org/lib/core-3.2.js';
+import { Scheduler } from 'https://pavlovia.org/lib/util-3.2.js';
+import * as util from 'https://pavlovia.org/lib/util-3.2.js';
+import * as visual from 'https://pavlovia.org/lib/visual-3.2.js';
+
+import { expandGrids } from './PJSMod_Grids.js';
+import { localeOf, localizeSurvey } from './PJSMod_Locale.js';
+
+/* -------------------------------------------------------------------------- */
+/*                            Comprehension checks                            */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Loops a set of instructions and a quiz on them until the quiz is passed
+ */
+export class ComprehensionCheck {
+  constructor(psychoJS, instructions, surveys) {
+    this.psychoJS = psychoJS;
+    this.instructions = instructions;
+    this.surveys = surveys;
+    this.feedback = undefined;
+  }
+
+  /**
+   * Adds a comprehension check to a scheduler. Every attempt is scheduled up
+   * front, so the quiz is validated with the other surveys, and the loop
+   * stops after the first attempt which passes.
+   */
+  addCheck(flowScheduler, instructionsResources, instructionsName, quizResourceName, options={}) {
+    const scheduler = new Scheduler(this.psychoJS);
+    const maxAttempts = options.maxAttempts || 3;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      this.instructions.addInstructions(
+        scheduler, instructionsResources, instructionsName, options.instructions || {});
+      // Only some attempts are asked, so quizzes are not counted as progress
+      this.surveys.addSurveyQuestions(scheduler, quizResourceName, { showProgress: false });
+      scheduler.add(() => this._checkAttempt(
+        scheduler, instructionsName, quizResourceName, attempt, maxAttempts, options));
+      if (options.feedback && attempt < maxAttempts) {
+        scheduler.add(() => this._showFeedback());
+      }
+    }
+    flowScheduler.add(scheduler);
+  }
+
+  /**
+   * Marks an attempt at the quiz, stopping the loop if it passed. If every
+   * attempt has failed, the experiment ends if asked to.
+   */
+  _checkAttempt(scheduler, instructionsName, quizResourceName, attempt, maxAttempts, options) {
+    // Feedback is shown in the participant's language, as the quiz was
+    let quiz = localizeSurvey(this.psychoJS._serverManager.getResource(quizResourceName),
+      localeOf(this.surveys.expInfo));
+    let responses = this.surveys.getResponses(quiz.set) || {};
+    // Only questions with a correct answer which were asked are marked
+    let asked = expandGrids(quiz.questions).filter((question) =>
+      question.correct !== undefined && responses[question.index] !== undefined);
+    let wrong = asked.filter((question) => !_isCorrect(question, responses[question.index]));
+    let correct = asked.length - wrong.length;
+    let passed = correct >= (options.minCorrect !== undefined ? options.minCorrect : asked.length);
+
+    // An attempt finished before the page was reloaded was already saved
+    if (!this.surveys.wasResumed()) {
+      this.surveys.saveRecord(instructionsName + '_check', {
+        check: instructionsName,
+        attempt: attempt,
+        correct: correct,
+        total: asked.length,
+        wrong: wrong.map((question) => question.index),
+        passed: passed
+      });
+    }
+
+    if (passed) {
+      scheduler.stop();
+    } else if (attempt == maxAttempts && options.quitOnFail) {
+      this.psychoJS.quit({
+        message: options.failMessage ||
+          'Thank you for your time. Unfortunately the instructions were not understood, so the experiment has ended.',
+        isCompleted: false
+      });
+      return Scheduler.Event.QUIT;
+    } else {
+      this._feedbackText = 'You answered ' + correct + ' of ' + asked.length + ' questions correctly.\n\n' +
+        wrong.filter((question) => question.feedback).map((question) => question.feedback).join('\n\n') +
+        '\n\nPlease read the instructions again. Press Enter or tap to continue.';
+    }
+    return Scheduler.Event.NEXT;
+  }
+
+  /**
+   * Shows the feedback on a failed attempt until the participant continues
+   */
+  _showFeedback() {
+    // It was already seen if the attempt was finished before a reload
+    if (this.surveys.wasResumed()) {
+      return Scheduler.Event.NEXT;
+    }
+    if (this.feedback === undefined) {
+      this.feedback = new visual.TextStim({
+        win: this.psychoJS.window,
+        name: 'checkFeedback',
+        text: '',
+        units: 'height',
+        pos: [0, 0], height: 0.04, wrapWidth: 1.2, ori: 0,
+        color: new util.Color('black'), opacity: 1,
+        depth: 0.0
+      });
+      this.mouse = new core.Mouse({win: this.psychoJS.window, name: 'checkMouse'});
+    }
+    if (this.feedback.status !== PsychoJS.Status.STARTED) {
+      this.feedback.text = this._feedbackText;
+      this.feedback.setAutoDraw(true);
+      this.psychoJS.eventManager.clearEvents();
+      this.mouseWasPressed = true;
+    }
+    // Continue on Enter, or on a new click or tap
+    let pressed = this.mouse.getPressed()[0] > 0;
+    let clicked = pressed && !this.mouseWasPressed;
+    this.mouseWasPressed = pressed;
+    let keys = this.psychoJS.eventManager.getKeys({keyList: ["enter", "return"]});
+    if (keys.length > 0 || clicked) {
+      this.feedback.setAutoDraw(false);
+      return Scheduler.Event.NEXT;
+    }
+    return Scheduler.Event.FLIP_REPEAT;
+  }
+}
+
+// Whether a response picked the correct option, or one of them if several are
+function _isCorrect(question, response) {
+  return [].concat(question.correct).some((key) => String(key) === String(response.choice));
+}
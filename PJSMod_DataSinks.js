@@ -0,0 +1,203 @@
+/*
+This module has the data sinks which PJSMod_Questionnaire.js and
+PJSMod_Instructions.js save their records to. A record is a name, like
+"demographics_3", and an object of data. Any object with a record(name, data)
+method can be used as a sink, and several can be used at once:
+
+import { PsychoJSSink, HttpSink } from './PJSMod_DataSinks.js';
+
+...
+
+const sinks = [
+  new PsychoJSSink(psychoJS),
+  new HttpSink({ url: 'https://example.org/data', extra: { participant: expInfo.participant } })
+];
+const SurveyQuestions = new SurveyQuestionsModule(psychoJS, expInfo, psiTurk, clock, sinks);
+const Instructions = new InstructionsModule(psychoJS, expInfo, psiTurk, sinks);
+
+A sink which keeps each record outside the page as soon as it is given it
+sets persists to true, so records are not given to it again after a reload.
+
+Without sinks given, the modules save through psiTurk if there is an instance
+and otherwise to the PsychoJS data file, flattened. Sinks given are used in
+place of these, so a PsychoJSSink or PsiTurkSink is listed with the others to
+keep saving there too.
+*/
+
+/* -------------------------------------------------------------------------- */
+/*                                   Helpers                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the sinks a module uses when none are given
+ */
+export function defaultSinks(psychoJS, psiTurk) {
+  return psiTurk ? [new PsiTurkSink(psiTurk)] : [new PsychoJSSink(psychoJS)];
+}
+
+/**
+ * Saves a record to every sink, so one failing does not stop the others
+ */
+export function recordTo(sinks, name, data) {
+  sinks.forEach((sink) => {
+    try {
+      sink.record(name, data);
+    } catch (error) {
+      console.error('Could not save ' + name + ':', error);
+    }
+  });
+}
+
+/**
+ * Flattens a record into one column per field. Nested objects and arrays of
+ * objects (like specify steps) are expanded into columns joined by "_",
+ * e.g. specify_0_value, and arrays of plain values are kept as JSON text.
+ */
+export function flattenRecord(data, prefix='') {
+  let columns = {};
+  Object.entries(data).forEach(([field, value]) => {
+    let column = prefix + field;
+    if (Array.isArray(value) && value.some((el) => typeof el === 'object' && el !== null)) {
+      value.forEach((el, i) => Object.assign(columns, flattenRecord({ [i]: el }, column + '_')));
+    } else if (Array.isArray(value)) {
+      columns[column] = JSON.stringify(value);
+    } else if (typeof value === 'object' && value !== null) {
+      Object.assign(columns, flattenRecord(value, column + '_'));
+    } else {
+      columns[column] = value;
+    }
+  });
+  return columns;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    Sinks                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Saves each record as a row of the PsychoJS data file, with a record column
+ * holding its name. With flatten set to false, the record is instead saved as
+ * one column named after it holding the whole object, as older versions did.
+ */
+export class PsychoJSSink {
+  constructor(psychoJS, options={}) {
+    this.psychoJS = psychoJS;
+    this.flatten = options.flatten !== false;
+  }
+
+  record(name, data) {
+    if (this.flatten) {
+      this.psychoJS.experiment.addData('record', name);
+      Object.entries(flattenRecord(data)).forEach(([column, value]) => {
+        this.psychoJS.experiment.addData(column, value);
+      });
+    } else {
+      this.psychoJS.experiment.addData(name, data);
+    }
+    this.psychoJS.experiment.nextEntry();
+  }
+}
+
+/**
+ * Saves each record as psiTurk unstructured data
+ */
+export class PsiTurkSink {
+  constructor(psiTurk) {
+    this.psiTurk = psiTurk;
+  }
+
+  record(name, data) {
+    this.psiTurk.recordUnstructuredData(name, data);
+  }
+}
+
+/**
+ * POSTs each record as JSON ({ name, data, ...extra }) to a URL. Records are
+ * sent one at a time in order, and one which fails is retried with a growing
+ * delay before giving up on it and moving on.
+ *
+ * options = {
+ *   url: ___ Endpoint to POST to
+ *   headers?: {...} Extra request headers
+ *   extra?: {...} Fields sent with every record, e.g. the participant
+ *   retries?: ___ Times to retry a failed record, 3 by default
+ *   retryDelay?: ___ Milliseconds before the first retry, doubling after each
+ * }
+ */
+export class HttpSink {
+  constructor(options) {
+    this.options = Object.assign({ headers: {}, extra: {}, retries: 3, retryDelay: 1000 }, options);
+    // Records are sent as they are saved, so are not sent again after a
+    // reload (see PJSMod_Resume.js)
+    this.persists = true;
+    this.queue = [];
+    // Records which could not be sent after every retry
+    this.failed = [];
+    this.sending = undefined;
+  }
+
+  record(name, data) {
+    this.queue.push(Object.assign({}, this.options.extra, { name: name, data: data }));
+    if (!this.sending) {
+      this.sending = this._sendQueue().then(() => { this.sending = undefined; });
+    }
+  }
+
+  /**
+   * Returns a promise which resolves once every record queued so far has
+   * been sent or given up on, e.g. to wait on before the experiment quits
+   */
+  flush() {
+    return this.sending || Promise.resolve();
+  }
+
+  async _sendQueue() {
+    while (this.queue.length > 0) {
+      let body = this.queue[0];
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await this._post(body);
+          break;
+        } catch (error) {
+          if (attempt >= this.options.retries) {
+            console.error('Could not send ' + body.name + ':', error);
+            this.failed.push(body);
+            break;
+          }
+          await new Promise((resolve) =>
+            setTimeout(resolve, this.options.retryDelay * Math.pow(2, attempt)));
+        }
+      }
+      this.queue.shift();
+    }
+  }
+
+  async _post(body) {
+    let response = await fetch(this.options.url, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, this.options.headers),
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error('HTTP ' + response.status);
+    }
+  }
+}
+
+/**
+ * Keeps records in memory, for tests or for reading back in the experiment
+ */
+export class MemorySink {
+  constructor() {
+    this.records = [];
+  }
+
+  record(name, data) {
+    this.records.push({ name: name, data: data });
+  }
+
+  // Returns the data of every record with the given name
+  find(name) {
+    return this.records.filter((el) => el.name === name).map((el) => el.data);
+  }
+}
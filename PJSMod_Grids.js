@@ -0,0 +1,82 @@
+/*
+This module expands grid blocks in a survey's questions into individual
+questions, used by PJSMod_Questionnaire.js and PJSMod_SurveyValidator.js. A
+grid block asks several items on the same response scale, as in inventories
+like the PHQ-9, declaring the scale only once:
+
+  {
+    grid: ___ Name of the grid
+    question?: ___ Prompt shown with every item, e.g. "Over the last 2 weeks..."
+    layout?: ___ "sequential" (default) to ask each item on its own, or
+                 "table" to show every item at once with a cursor on the
+                 current one. Tables need a DISCRETE input.
+    input: {...} The shared response scale, same structure as a question's
+    showIf?, skipIf?: ___ Conditions applied to every item
+    timeLimit?, showCountdown?, theme?: ___ Applied to every item without its
+                                          own
+    items: [
+      {
+        index: ___ As for a question
+        name?: ___
+        question: ___ The item stem
+        showIf?, skipIf?, jumps?: ___ As for a question
+      }
+    ]
+  }
+
+Each item becomes a question with the grid's input, so its data looks the
+same as if it had been written out as a separate question. Items also carry
+a gridItem object describing their place in the grid, for display.
+*/
+
+// Fields of a grid block which items take unless they set their own
+const SHARED_FIELDS = ['timeLimit', 'showCountdown', 'theme'];
+
+/**
+ * Returns the questions with every grid block replaced by its items
+ */
+export function expandGrids(questions) {
+  let expanded = [];
+  questions.forEach((question) => {
+    if (!isGrid(question)) {
+      expanded.push(question);
+      return;
+    }
+    const items = Array.isArray(question.items) ? question.items : [];
+    // One list of stems for every item, so a table is built once per grid
+    const stems = items.map((el) => el.question);
+    let shared = {};
+    SHARED_FIELDS.filter((field) => question[field] !== undefined).forEach((field) => {
+      shared[field] = question[field];
+    });
+    items.forEach((item, i) => {
+      let expandedItem = Object.assign({}, shared, item, {
+        input: question.input,
+        gridItem: {
+          grid: question.grid,
+          prompt: question.question || '',
+          layout: question.layout || 'sequential',
+          items: stems,
+          position: i
+        }
+      });
+      let showIf = [question.showIf, item.showIf].filter((el) => el !== undefined);
+      if (showIf.length > 0) {
+        expandedItem.showIf = showIf.length == 1 ? showIf[0] : { all: showIf };
+      }
+      let skipIf = [question.skipIf, item.skipIf].filter((el) => el !== undefined);
+      if (skipIf.length > 0) {
+        expandedItem.skipIf = skipIf.length == 1 ? skipIf[0] : { any: skipIf };
+      }
+      expanded.push(expandedItem);
+    });
+  });
+  return expanded;
+}
+
+/**
+ * Whether an entry in a survey's questions is a grid block
+ */
+export function isGrid(question) {
+  return typeof question === 'object' && question !== null && question.grid !== undefined;
+}
@@ -0,0 +1,702 @@
+/*
+This module runs the surveys and instructions of an experiment in Node, with
+simulated participants, so survey files can be checked without clicking
+through them in a browser. It stands in for the parts of PsychoJS the modules
+use, and PJSMod_HarnessHooks.js points their PsychoJS imports here:
+
+  node --import ./PJSMod_HarnessHooks.js check_demographics.mjs
+
+where check_demographics.mjs sets up the modules as the experiment does, with
+the harness's psychoJS and flow scheduler, and the experiment as a data sink:
+
+import { Clock, Experiment, scriptedParticipant } from './PJSMod_Harness.js';
+import { SurveyQuestionsModule } from './PJSMod_Questionnaire.js';
+
+const experiment = new Experiment({
+  resources: { DEMOGRAPHICS: demographics },
+  expInfo: { participant: "test" }
+});
+const SurveyQuestions = new SurveyQuestionsModule(experiment.psychoJS, experiment.expInfo,
+  undefined, new Clock(), [experiment]);
+experiment.flowScheduler.add(() => SurveyQuestions.initStimuli());
+SurveyQuestions.addSurveyQuestions(experiment.flowScheduler, "DEMOGRAPHICS");
+
+const result = experiment.run(scriptedParticipant([
+  "return",
+  { on: "How old are you?", do: ["3", "4", "return"] },
+  { on: "What is your name?", do: [{ text: "Ana María" }, "return"] },
+  { on: "Do you smoke?", do: { click: "(y) Yes" } }
+]));
+
+Options for Experiment, all optional:
+
+{
+  resources: {...} Surveys and other resources by name, as psychoJS.start
+                   would download them
+  expInfo: {...} expInfo of the participant
+  storage: ___ localStorage of the browser, so a reload can be simulated by
+               running a new Experiment with the storage of an earlier one
+  soundDurations: {...} Seconds each narration lasts by resource name, 3 by
+                        default
+}
+
+A participant is a function called with what is on screen and the experiment
+whenever the screen changes, or has stayed the same for a second since the
+participant last acted, unless it is blank. It returns an action, a list of actions or nothing:
+
+  "y", "return", "left" ___ Presses a key
+  "ctrl+return" ___ Submits a multi-line text answer
+  { text: "..." } ___ Types into the text field of a TEXT answer, in place of
+                      what is there
+  { click: "Submit" } ___ Clicks the middle of what shows this text or name
+  { click: [x, y] } ___ Clicks a position, in height units
+  { wait: ___ } ___ Waits some seconds before the next action
+
+What is on screen is given as:
+
+{
+  time: ___ Seconds since the run started
+  texts: [...] Text and image names shown, in the order they were drawn
+  stimuli: [...] Everything drawn
+  shows: (text) ___ Whether a text or image, or one matching a RegExp, is shown
+}
+
+scriptedParticipant takes steps in order, each an action or list of them, or
+{ on: ___, do: ___ } to wait until a text is shown first. randomParticipant
+presses the keys the modules are waiting for at random, typing random words
+into text fields, from a seed so runs can be repeated.
+
+run returns what happened, and stops once the flow is done, the experiment
+quits or maxTime seconds (an hour by default) have gone by:
+
+{
+  finished: ___ Whether the flow ran to its end
+  quit: { message: ___, isCompleted: ___ } If psychoJS.quit was called
+  records: [{ name: ___, data: {...} }] Records saved to the experiment as a
+                                        data sink, in order
+  rows: [...] Rows of the PsychoJS data file
+  path: [ Every screen shown, in order
+    { time: ___, texts: [...], actions: [...] Actions taken on it }
+  ]
+  time: ___ Seconds the run took
+}
+*/
+
+import { makeRandom } from './PJSMod_Randomization.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+const FRAME_RATE = 60; // Frames simulated each second
+const ACTION_FRAMES = 2; // Frames between the actions of a participant
+const SETTLE_FRAMES = 2; // Frames a screen is shown before a participant acts on it
+const PATIENCE = 1; // Seconds before a participant acts again on the same screen
+const MAX_TIME = 3600; // Seconds a run can take before it is stopped
+const SOUND_DURATION = 3; // Seconds a narration lasts unless given
+
+// Seconds simulated since the harness was loaded, which every clock reads
+let now = 0;
+
+/* -------------------------------------------------------------------------- */
+/*                             PsychoJS stand-ins                             */
+/* -------------------------------------------------------------------------- */
+
+export class PsychoJS {
+  constructor(experiment) {
+    this.window = experiment.window;
+    this.experiment = experiment.handler;
+    this.eventManager = experiment.eventManager;
+    this._serverManager = {
+      getResource: (name) => {
+        if (!(name in experiment.resources)) {
+          throw new Error('Unknown resource ' + name);
+        }
+        return experiment.resources[name];
+      }
+    };
+    this._quit = (options) => { experiment.quit = options; };
+  }
+
+  quit(options={}) {
+    this._quit({ message: options.message, isCompleted: options.isCompleted });
+  }
+}
+PsychoJS.Status = {
+  NOT_STARTED: 'NOT_STARTED',
+  STARTED: 'STARTED',
+  PAUSED: 'PAUSED',
+  STOPPED: 'STOPPED',
+  FINISHED: 'FINISHED'
+};
+
+/**
+ * Runs tasks, and schedulers of tasks, one after another as PsychoJS does
+ */
+export class Scheduler {
+  constructor(psychoJS) {
+    this._psychoJS = psychoJS;
+    this._taskList = [];
+    this._argsList = [];
+    this._currentTask = undefined;
+    this._stopAtNextTask = false;
+  }
+
+  add(task, ...args) {
+    this._taskList.push(task);
+    this._argsList.push(args);
+  }
+
+  stop() {
+    this._stopAtNextTask = true;
+  }
+
+  // Runs tasks until one asks for the screen to be flipped, returning QUIT
+  // once there are none left
+  _runNextTasks() {
+    let state = Scheduler.Event.NEXT;
+    while (state === Scheduler.Event.NEXT) {
+      if (this._stopAtNextTask) {
+        return Scheduler.Event.QUIT;
+      }
+      if (this._currentTask === undefined) {
+        if (this._taskList.length == 0) {
+          return Scheduler.Event.QUIT;
+        }
+        this._currentTask = this._taskList.shift();
+        this._currentArgs = this._argsList.shift();
+      }
+      if (this._currentTask instanceof Scheduler) {
+        state = this._currentTask._runNextTasks();
+        if (state === Scheduler.Event.QUIT) {
+          state = Scheduler.Event.NEXT;
+        }
+      } else {
+        state = this._currentTask(...this._currentArgs);
+      }
+      if (state !== Scheduler.Event.FLIP_REPEAT) {
+        this._currentTask = undefined;
+        this._currentArgs = undefined;
+      }
+    }
+    return state;
+  }
+}
+Scheduler.Event = {
+  NEXT: 'NEXT',
+  FLIP_NEXT: 'FLIP_NEXT',
+  FLIP_REPEAT: 'FLIP_REPEAT',
+  QUIT: 'QUIT'
+};
+
+export class TrialHandler {
+  constructor(options) {
+    Object.assign(this, options);
+    this.finished = false;
+  }
+
+  *[Symbol.iterator]() {
+    let trials = this.nReps * Math.max(1, (this.trialList || []).length);
+    for (let i = 0; i < trials; i++) {
+      yield i;
+    }
+    this.finished = true;
+  }
+}
+TrialHandler.Method = {
+  SEQUENTIAL: 'sequential',
+  RANDOM: 'random',
+  FULLRANDOM: 'fullrandom'
+};
+
+export class Color {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return String(this.value);
+  }
+}
+
+export class Clock {
+  constructor() {
+    this.start = now;
+  }
+
+  reset(newTime = 0) {
+    this.start = now + newTime;
+  }
+
+  getTime() {
+    return now - this.start;
+  }
+}
+
+/**
+ * The screen, holding what is drawn and the state of the mouse
+ */
+export class Window {
+  constructor(experiment) {
+    this._experiment = experiment;
+    this._drawn = new Set();
+    this._mouse = { pos: [0, 0], pressed: [0, 0, 0] };
+  }
+}
+
+export class Mouse {
+  constructor(options) {
+    this.win = options.win;
+  }
+
+  getPos() {
+    return this.win._mouse.pos;
+  }
+
+  getPressed() {
+    return this.win._mouse.pressed;
+  }
+
+  clickReset() {}
+}
+
+/**
+ * Something drawn. Sizes are estimated for text, from its height and length,
+ * so clicks on it can be told apart.
+ */
+class Stim {
+  constructor(options) {
+    Object.assign(this, { pos: [0, 0], opacity: 1 }, options);
+    this.status = PsychoJS.Status.NOT_STARTED;
+  }
+
+  setAutoDraw(autoDraw) {
+    if (autoDraw) {
+      this.win._drawn.add(this);
+      this.status = PsychoJS.Status.STARTED;
+    } else if (this.win._drawn.delete(this)) {
+      this.status = PsychoJS.Status.STOPPED;
+    }
+  }
+
+  setText(text) { this.text = text; }
+  setImage(image) { this.image = image; }
+  setPos(pos) { this.pos = pos; }
+  setSize(size) { this.size = size; }
+  setColor(color) { this.color = color; }
+  setOpacity(opacity) { this.opacity = opacity; }
+
+  // Whether a position, or the mouse, is over this
+  contains(object) {
+    let [x, y] = object.getPos ? object.getPos() : object;
+    let [centerX, centerY, width, height] = this._bounds();
+    return Math.abs(x - centerX) <= width / 2 && Math.abs(y - centerY) <= height / 2;
+  }
+
+  // Returns the center, width and height of what is drawn
+  _bounds() {
+    let [width, height] = this.size || [0, 0];
+    return [this.pos[0], this.pos[1], width, height];
+  }
+}
+
+export class TextStim extends Stim {
+  _bounds() {
+    let height = this.height || 0.1;
+    let lines = String(this.text).split('\n');
+    let width = Math.max(...lines.map((el) => el.length)) * height * 0.5;
+    if (this.wrapWidth !== undefined) {
+      width = Math.min(width, this.wrapWidth);
+    }
+    let [x, y] = this.pos;
+    let shiftX = this.alignHoriz === 'left' ? 1 : (this.alignHoriz === 'right' ? -1 : 0);
+    let shiftY = this.alignVert === 'top' ? -1 : (this.alignVert === 'bottom' ? 1 : 0);
+    return [x + shiftX * width / 2, y + shiftY * lines.length * height / 2, width, lines.length * height];
+  }
+}
+
+export class ImageStim extends Stim {}
+
+export class Rect extends Stim {
+  setWidth(width) { this.width = width; }
+  setHeight(height) { this.height = height; }
+  setFillColor(color) { this.fillColor = color; }
+  setLineColor(color) { this.lineColor = color; }
+
+  _bounds() {
+    return [this.pos[0], this.pos[1], this.width, this.height];
+  }
+}
+
+export class Sound {
+  constructor(options) {
+    Object.assign(this, options);
+    this.status = PsychoJS.Status.NOT_STARTED;
+  }
+
+  play() {
+    this.status = PsychoJS.Status.STARTED;
+  }
+
+  stop() {
+    this.status = PsychoJS.Status.STOPPED;
+  }
+
+  getDuration() {
+    let durations = this.win._experiment.soundDurations;
+    return this.secs > 0 ? this.secs :
+      (durations[this.value] !== undefined ? durations[this.value] : SOUND_DURATION);
+  }
+}
+
+/**
+ * Holds the keys pressed until the modules ask for them, noting which keys
+ * they ask for so a random participant knows what it can press
+ */
+class EventManager {
+  constructor() {
+    this.keys = [];
+    this.polled = new Set();
+  }
+
+  press(key) {
+    this.keys.push(key);
+  }
+
+  getKeys(options={}) {
+    let keyList = options.keyList;
+    if (keyList) {
+      keyList.forEach((key) => this.polled.add(key));
+    }
+    let keys = this.keys.filter((key) => !keyList || keyList.includes(key));
+    this.keys = this.keys.filter((key) => !keys.includes(key));
+    return keys;
+  }
+
+  clearEvents() {
+    this.keys = [];
+  }
+}
+
+/**
+ * Collects the rows of the PsychoJS data file
+ */
+class ExperimentHandler {
+  constructor() {
+    this.rows = [];
+    this._thisEntry = {};
+    this.loops = [];
+    this.experimentEnded = false;
+  }
+
+  addLoop(loop) {
+    this.loops.push(loop);
+  }
+
+  addData(key, value) {
+    this._thisEntry[key] = value;
+  }
+
+  nextEntry() {
+    this.rows.push(this._thisEntry);
+    this._thisEntry = {};
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Browser stand-ins                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * The hidden text fields TEXT answers are typed into
+ */
+class TextEntry {
+  constructor(document, kind) {
+    this.document = document;
+    this.kind = kind;
+    this.value = '';
+    this.selectionStart = 0;
+    this.maxLength = -1;
+    this.style = {};
+    this.attributes = {};
+    this.listeners = [];
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = value;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+    if (name === 'maxlength') {
+      this.maxLength = -1;
+    }
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push({ type: type, listener: listener });
+  }
+
+  focus() {
+    this.document.activeElement = this;
+  }
+
+  blur() {
+    if (this.document.activeElement === this) {
+      this.document.activeElement = null;
+    }
+  }
+
+  // Types text in place of what is there, as far as the field allows
+  type(text) {
+    this.value = this.maxLength >= 0 ? text.slice(0, this.maxLength) : text;
+    this.selectionStart = this.value.length;
+  }
+
+  keydown(event) {
+    this.listeners.filter((el) => el.type === 'keydown').forEach((el) => el.listener(
+      Object.assign({ preventDefault: () => {} }, event)));
+  }
+}
+
+class Document {
+  constructor() {
+    this.activeElement = null;
+    this.body = { appendChild: () => {} };
+  }
+
+  createElement(kind) {
+    return new TextEntry(this, kind);
+  }
+}
+
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Experiment                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * An experiment run by simulated participants, which is also a data sink
+ * keeping every record saved to it
+ */
+export class Experiment {
+  constructor(options={}) {
+    this.resources = options.resources || {};
+    this.expInfo = options.expInfo || {};
+    this.storage = options.storage || new MemoryStorage();
+    this.soundDurations = options.soundDurations || {};
+    this.window = new Window(this);
+    this.eventManager = new EventManager();
+    this.handler = new ExperimentHandler();
+    this.document = new Document();
+    this.psychoJS = new PsychoJS(this);
+    this.flowScheduler = new Scheduler(this.psychoJS);
+    this.records = [];
+    this.quit = undefined;
+    this._useBrowser();
+  }
+
+  // The modules use the browser's text fields and localStorage, from when
+  // they are set up
+  _useBrowser() {
+    globalThis.document = this.document;
+    globalThis.window = { localStorage: this.storage };
+  }
+
+  record(name, data) {
+    this.records.push({ name: name, data: structuredClone(data) });
+  }
+
+  /**
+   * Returns what is on screen
+   */
+  screen(start=0) {
+    let stimuli = [...this.window._drawn].filter((stim) => stim.opacity !== 0);
+    let texts = stimuli.map((stim) => stim instanceof TextStim ? stim.text :
+      (stim instanceof ImageStim ? stim.image : undefined))
+      .filter((el) => el !== undefined && el !== null && el !== '')
+      .map((el) => String(el));
+    return {
+      time: now - start,
+      texts: texts,
+      stimuli: stimuli,
+      shows: (text) => texts.some((el) => text instanceof RegExp ? text.test(el) : el === String(text))
+    };
+  }
+
+  /**
+   * Runs the flow with a participant acting on it, see the top of the file
+   */
+  run(participant, options={}) {
+    const maxTime = options.maxTime || MAX_TIME;
+    const patience = options.patience || PATIENCE;
+    this._useBrowser();
+
+    let start = now;
+    let path = [];
+    let pending = [];
+    let frame = 0;
+    let settled = 0;
+    let actedAt = -Infinity;
+    this.waitUntil = now;
+    let state = Scheduler.Event.NEXT;
+    while (state !== Scheduler.Event.QUIT && this.quit === undefined && now - start < maxTime) {
+      let screen = this.screen(start);
+      let shown = path[path.length - 1];
+      if (shown === undefined || shown.texts.join('\n') !== screen.texts.join('\n')) {
+        shown = { time: screen.time, texts: screen.texts, actions: [] };
+        path.push(shown);
+        settled = 0;
+      }
+      settled += 1;
+      // The participant acts on new screens once drawn, and again when
+      // nothing happens, but not on blank screens between others
+      if (pending.length == 0 && screen.stimuli.length > 0 && ((settled == SETTLE_FRAMES && now - actedAt > 0) ||
+          (settled > SETTLE_FRAMES && now - actedAt >= patience))) {
+        actedAt = now;
+        let actions = participant(screen, this);
+        if (actions !== undefined) {
+          pending.push(...[].concat(actions));
+          shown.actions.push(...[].concat(actions));
+        }
+      }
+      this.window._mouse.pressed = [0, 0, 0];
+      if (pending.length > 0 && frame % ACTION_FRAMES == 0 && now >= this.waitUntil) {
+        this._perform(pending.shift());
+      }
+      state = this.flowScheduler._runNextTasks();
+      frame += 1;
+      now += 1 / FRAME_RATE;
+    }
+
+    let rows = [...this.handler.rows];
+    if (Object.keys(this.handler._thisEntry).length > 0) {
+      rows.push(this.handler._thisEntry);
+    }
+    return {
+      finished: state === Scheduler.Event.QUIT && this.quit === undefined,
+      quit: this.quit,
+      records: this.records,
+      rows: rows,
+      path: path,
+      time: now - start
+    };
+  }
+
+  _perform(action) {
+    if (typeof action === 'string') {
+      this._press(action);
+    } else if (action.text !== undefined) {
+      let entry = this.document.activeElement;
+      if (entry === null) {
+        throw new Error('Nothing to type "' + action.text + '" into, the screen shows ' +
+          JSON.stringify(this.screen().texts));
+      }
+      entry.type(String(action.text));
+    } else if (action.click !== undefined) {
+      this._click(action.click);
+    } else if (action.wait !== undefined) {
+      this.waitUntil = now + action.wait;
+    } else {
+      throw new Error('Unknown action ' + JSON.stringify(action));
+    }
+  }
+
+  // Presses a key, which also goes into the text field being typed in
+  _press(key) {
+    let entry = this.document.activeElement;
+    if (key === 'ctrl+return' && entry !== null) {
+      entry.keydown({ key: 'Enter', ctrlKey: true });
+      return;
+    } else if (key === 'ctrl+return') {
+      key = 'return';
+    } else if (entry !== null && entry.kind === 'textarea' && key === 'return') {
+      entry.type(entry.value.slice(0, entry.selectionStart) + '\n' + entry.value.slice(entry.selectionStart));
+    }
+    this.eventManager.press(key);
+  }
+
+  // Clicks a position, or the middle of what shows a text or has a name
+  _click(target) {
+    let pos = target;
+    if (!Array.isArray(target)) {
+      let stim = [...this.window._drawn].reverse().find((el) =>
+        el.text === target || el.image === target || el.name === target);
+      if (stim === undefined) {
+        throw new Error('Nothing to click shows "' + target + '", the screen shows ' +
+          JSON.stringify(this.screen().texts));
+      }
+      pos = stim._bounds().slice(0, 2);
+    }
+    this.window._mouse.pos = pos;
+    this.window._mouse.pressed = [1, 0, 0];
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Participants                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns a participant taking the steps given in order, each an action, a
+ * list of them, or { on, do } to wait until the text on is shown
+ */
+export function scriptedParticipant(steps) {
+  let position = 0;
+  return (screen) => {
+    let step = steps[position];
+    if (step === undefined) {
+      return undefined;
+    }
+    let waitsFor = _isObject(step) && 'do' in step ? step.on : undefined;
+    if (waitsFor !== undefined && !screen.shows(waitsFor)) {
+      return undefined;
+    }
+    position += 1;
+    return _isObject(step) && 'do' in step ? step.do : step;
+  };
+}
+
+/**
+ * Returns a participant pressing one of the keys the modules are waiting
+ * for at random, and typing random words into text fields. options may
+ * have a seed, and keys to avoid pressing, like a back key.
+ */
+export function randomParticipant(options={}) {
+  let random = makeRandom(options.seed !== undefined ? options.seed : 1);
+  let avoid = options.avoid || [];
+  let pick = (list) => list[Math.floor(random() * list.length)];
+  let word = () => Array.from({ length: 1 + Math.floor(random() * 8) },
+    () => pick('abcdefghijklmnopqrstuvwxyz')).join('');
+  return (screen, experiment) => {
+    let keys = [...experiment.eventManager.polled].filter((key) => !avoid.includes(key));
+    experiment.eventManager.polled.clear();
+    let entry = experiment.document.activeElement;
+    if (entry !== null) {
+      let text = Array.from({ length: 1 + Math.floor(random() * 4) }, word).join(' ');
+      return entry.kind === 'textarea' ? [{ text: text }, 'ctrl+return'] : [{ text: text }, 'return'];
+    }
+    return keys.length > 0 ? pick(keys) : undefined;
+  };
+}
+
+function _isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
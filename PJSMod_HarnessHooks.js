@@ -0,0 +1,49 @@
+/*
+Node module hooks for PJSMod_Harness.js, which point the PsychoJS imports of
+the modules at the harness's stand-ins so they can run without a browser:
+
+  node --import ./PJSMod_HarnessHooks.js check_demographics.mjs
+
+The PJSMod_*.js files are loaded as ES modules, as they are in the browser.
+*/
+
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+const PSYCHOJS_LIBRARY = /^https:\/\/(lib\.pavlovia\.org|pavlovia\.org\/lib)\//;
+const HARNESS = new URL('./PJSMod_Harness.js', import.meta.url).href;
+
+/* -------------------------------------------------------------------------- */
+/*                                    Hooks                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Resolves the PsychoJS library, of any version, to the harness
+ */
+export async function resolve(specifier, context, nextResolve) {
+  if (PSYCHOJS_LIBRARY.test(specifier)) {
+    return { url: HARNESS, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
+
+/**
+ * Loads the modules as ES modules, as experiments copying them have no
+ * package.json saying so
+ */
+export async function load(url, context, nextLoad) {
+  if (/\/PJSMod_[A-Za-z]+\.js$/.test(url)) {
+    return Object.assign(await nextLoad(url, Object.assign({}, context, { format: 'module' })),
+      { format: 'module' });
+  }
+  return nextLoad(url, context);
+}
+
+// The hooks run on their own thread, where they are not registered again
+if (isMainThread) {
+  register(import.meta.url);
+}
@@ -19,6 +19,8 @@ var INSTRUCTIONS_2 = [{"name": "anything2", path: "<YOUR PATH2>"}, ...]
 ...
 
 const Instructions = new InstructionsModule(psychoJS, expInfo, psiTurk);
+    (or new InstructionsModule(psychoJS, expInfo, psiTurk, sinks, options) to
+     give navigation options, described below, for every set)
 flowScheduler.add(() => Instructions.initStimuli());
 ...
 Instructions.addInstructions(flowScheduler, INSTRUCTIONS_1, "instr1");
@@ -31,10 +33,141 @@ psychoJS.start({
     ...
     resources: [
         ...,
-        ...INSTRUCTIONS_1 <- note the destructuring of an array
+        ...instructionResources(INSTRUCTIONS_1) <- note the destructuring of an array
     ]
 })
 
+Slides are images by default, but a resource can instead be one of:
+
+{"type": "text", "text": "Press the space bar when you see a {{expInfo.color}} circle"}
+    Text only. Placeholders like {{expInfo.condition}} are filled in from
+    expInfo, as in PJSMod_Piping.js, so instructions can differ by condition.
+    Text can be styled with font, height, color, wrapWidth, pos, alignHoriz,
+    bold, italic and units.
+{"type": "imageText", "name": "anything", path: "<YOUR PATH>", "caption": "..."}
+    An image with a caption under it. The caption is styled as text slides
+    are, with captionHeight, captionColor and captionPos, and the image can
+    be placed with pos and size.
+{"type": "layout", "name": "anything", "stimuli": [
+    {"type": "image", "image": "anything", path: "<YOUR PATH>", "pos": [-0.3, 0], "size": [0.5, 0.5]},
+    {"type": "text", "text": "...", "pos": [0.3, 0]}
+]}
+    Several images and texts at once, each placed and styled on its own.
+
+Only slides with images need downloading, so the resource list is passed
+through instructionResources before being given to psychoJS.start.
+
+For studies in several languages, a set can be given as a map from locale to
+resource list, and text slides can give their text and caption as a map from
+locale to text. The participant's locale is expInfo.language, see
+PJSMod_Locale.js, and the fallbackLocale option of addInstructions ("en" by
+default) is used for anything missing in their language:
+
+var INSTRUCTIONS_1 = {
+    "en": [{"name": "welcome_en", path: "<YOUR PATH>"}, ...],
+    "es": [{"name": "welcome_es", path: "<YOUR PATH>"}, ...]
+}
+
+instructionResources gives the resources of every language, as the language
+is not known until the experiment starts.
+
+Participants can be kept on slides for a minimum time before moving on, by
+giving a resource a minTime in seconds ({"name": ..., path: ..., minTime: 5})
+or by giving addInstructions options for the whole set:
+
+Instructions.addInstructions(flowScheduler, INSTRUCTIONS_1, "instr1", {
+    minTime: ___ Seconds each slide is shown before "n" or "f" work, used for
+                 slides without their own minTime
+    cue: ___ If true, a prompt to continue is shown once the slide can be left
+    mustReachLast: ___ If false, "f" finishes from any slide, not only the last
+    mustViewAll: ___ If true, "f" only works once every slide has been shown
+                     for its minimum time
+});
+
+Navigation can be changed for every set, through the module's options, or for
+one set, through addInstructions. Options for a set override the module's:
+
+{
+    keys: { Keys for each action, one key or a list, [] to turn one off
+        back: ___ "b" by default
+        next: ___ "n" by default
+        finish: ___ "f" by default
+    }
+    finishOnNext: ___ If true, next on the last slide finishes the set. A key
+                      can also be given for both next and finish, like
+                      { next: "space", finish: "space" }, to do the same.
+    buttons: ___ If true, Back and Next buttons can be clicked or tapped, Next
+                 finishing the set from the last slide
+    backText: ___, nextText: ___, finishText: ___ Button labels
+    footer: ___ If true, a footer like "Slide 3 of 8 - press → to continue" is
+                shown, or give a template with {slide}, {total} and {hint}
+}
+
+e.g. { keys: { back: "left", next: "right", finish: "right" }, footer: true }
+
+Instructions can also play at a fixed pace, with slides advancing on their own
+and the set finishing after the last slide:
+
+Instructions.addInstructions(flowScheduler, INSTRUCTIONS_1, "instr1", {
+    autoAdvance: true,
+    duration: ___ Seconds each slide is shown, 5 by default, used for slides
+                  without their own duration
+    keys: { pause: ___, replay: ___ } Keys which pause the slide, and start it
+                                      again with its narration, "p" and "r"
+                                      by default. Pressing pause again while
+                                      paused carries on from where it was.
+});
+
+A slide can be narrated by giving it the resource name of a sound, and a path
+for instructionResources to download it from:
+
+{"name": "anything", path: "<YOUR PATH>", "audio": "narration1", "audioPath": "<AUDIO PATH>"}
+
+The narration plays while the slide is shown and the slide advances when it
+ends, or after the slide's duration, its own or the set's, if that is longer.
+Back, next and finish keys and the buttons are not used while slides advance
+on their own.
+
+The slide being shown can be saved in the browser, so that after the page is
+reloaded the instructions carry on from it and finished sets are passed over,
+by calling Instructions.enableResume(), see PJSMod_Resume.js.
+
+Each move between slides is saved as a record named
+"<instructionsName>_navigation", with the instructions, the key pressed (or
+"mouse"), and the slide moved from and to, -1 once finished.
+
+Once a set of instructions is finished, or has shown MAX_INSTRUCTIONS slides,
+a record of how it was viewed is saved as "<instructionsName>_viewing". Records
+are saved through psiTurk if there is an instance and otherwise to the
+PsychoJS data file. A list of data sinks can be given after psiTurk to save to
+instead, see PJSMod_DataSinks.js. Times are in seconds from the start of the
+set:
+
+{
+    instructions: ___ Name of the set
+    slides: [ Each slide shown, in order
+        { slide: ___ Index, name: ___ Resource name, onset: ___, duration: ___ }
+    ]
+    presses: [ Every navigation key pressed, including ones which did nothing
+        {
+            key: ___ Key pressed, or "mouse" for a button, time: ___,
+            slide: ___ Slide shown, action: ___ "back", "next" or "finish",
+            moved: ___ If it changed slide,
+            locked: ___ If it was ignored as the slide could not be left yet
+        }
+    ]
+    slideDurations: [...] Total time spent on each slide, by index
+    duration: ___ Time taken over the whole set
+    revisits: ___ Number of times a slide was shown again
+    resumedAt: ___ Slide the set carried on from after a reload, if it did
+    events: [ Timing of slides which advance on their own
+        {
+            event: ___ "show", "audioStart", "audioEnd", "pause", "replay" or
+                       "advance", or "resume" after a pause, time: ___, slide: ___
+        }
+    ]
+}
+
 */
 
 /* -------------------------------------------------------------------------
@@ -45,12 +178,31 @@ import { TrialHandler } from 'https://lib.pavlovia.org/data-2020.2.js';
 import { Scheduler } from 'https://lib.pavlovia.org/util-2020.2.js';
 import * as visual from 'https://lib.pavlovia.org/visual-2020.2.js';
 import * as util from 'https://lib.pavlovia.org/util-2020.2.js';
+import * as core from 'https://lib.pavlovia.org/core-2020.2.js';
+import * as sound from 'https://lib.pavlovia.org/sound-2020.2.js';
+
+import { defaultSinks, recordTo } from './PJSMod_DataSinks.js';
+import { DEFAULT_LOCALE, isLocaleMap, localeOf, localize } from './PJSMod_Locale.js';
+import { fillTemplate } from './PJSMod_Piping.js';
+import { clearProgress, loadProgress, loadRecords, progressKey, resendRecords, saveProgress,
+    saveRecords } from './PJSMod_Resume.js';
 
 /* -------------------------------------------------------------------------- */
 /*                               Constants                                 */
 /* -------------------------------------------------------------------------- */
 
 var MAX_INSTRUCTIONS = 200; // Maximum loop of instructions before continuing on
+var SLIDE_TYPES = ["image", "text", "imageText", "layout"];
+var NAVIGATION = {
+    keys: { back: "b", next: "n", finish: "f", pause: "p", replay: "r" },
+    backText: "< Back", nextText: "Next >", finishText: "Finish",
+    footer: false,
+    autoAdvance: false
+};
+var SLIDE_DURATION = 5; // Seconds a slide advancing on its own is shown without a duration
+var FOOTER = "Slide {slide} of {total}{hint}"; // Footer used when footer is true
+// How keys are written in cues and footers
+var KEY_NAMES = { left: "←", right: "→", up: "↑", down: "↓", return: "Enter" };
 
 /* -------------------------------------------------------------------------- */
 /*                               Instructions                                 */
@@ -60,10 +212,14 @@ var MAX_INSTRUCTIONS = 200; // Maximum loop of instructions before continuing on
  * Contains stuff for going through a set of instructions
  */
 export class InstructionsModule {
-    constructor(psychoJS, expInfo, psiTurk) {
+    constructor(psychoJS, expInfo, psiTurk, sinks, options={}) {
         this.psychoJS = psychoJS;
         this.expInfo = expInfo;
         this.psiTurk = psiTurk;
+        // Where records are saved to
+        this.sinks = sinks || defaultSinks(psychoJS, psiTurk);
+        // Navigation options used by every set
+        this.options = options;
 
         // Cached instructions, used so we can load multiple instructions lists
         // into a single Instructions object
@@ -71,12 +227,32 @@ export class InstructionsModule {
         // Current instructions object so each frame does not need to rerefrence
         this.currInstr = undefined;
         this.slideFinished = false;
+        // Stimuli drawn for the current slide
+        this.slideStimuli = [];
+        // Stimuli of text, captioned and layout slides, made on first showing
+        this.builtSlides = new Map();
+        // Narration sounds by resource name, and the one playing
+        this.narrations = new Map();
+        this.narration = undefined;
+        // Times slides and key presses from the start of a set
+        this.clock = new util.Clock();
+        // Sets started so far, and the names of those finished, kept so they
+        // can be resumed after a reload (see enableResume)
+        this.runsStarted = 0;
+        this.runs = [];
+        this.resumeKey = undefined;
+        // Records saved so far, and those from before a reload still to be
+        // saved again to the sinks which lost them
+        this.savedRecords = [];
+        this.recordsToResend = [];
     }
 
     /**
-     * Initializes the instructions stimuli (just one image)
+     * Initializes the instructions stimuli (the image used by image slides,
+     * other slides make their own when first shown)
      */
     initStimuli(units='height', size=[1.0, 0.8]) {
+        this.units = units;
         this.image = new visual.ImageStim({
             win: this.psychoJS.window,
             name: 'image', units: units,
@@ -84,6 +260,54 @@ export class InstructionsModule {
             ori: 0, pos: [0, 0], size: size,
             color: new util.Color([1, 1, 1]), opacity: 1
         });
+        // Shown below the slide once it can be left
+        this.cue = new visual.TextStim({
+            win: this.psychoJS.window,
+            name: 'cue', units: 'height',
+            text: '', pos: [0, -0.45], height: 0.03,
+            color: new util.Color('black'), opacity: 1
+        });
+        // Optional navigation buttons and footer
+        this.backButton = _initButton(this.psychoJS, 'backButton', [-0.55, -0.45]);
+        this.nextButton = _initButton(this.psychoJS, 'nextButton', [0.55, -0.45]);
+        this.footer = new visual.TextStim({
+            win: this.psychoJS.window,
+            name: 'footer', units: 'height',
+            text: '', pos: [0, -0.48], height: 0.025,
+            color: new util.Color('black'), opacity: 1
+        });
+        this.mouse = new core.Mouse({win: this.psychoJS.window, name: 'instructionsMouse'});
+        this.mouseWasPressed = true;
+        resendRecords(this.recordsToResend, this.sinks);
+        this.recordsToResend = [];
+        return Scheduler.Event.NEXT;
+    }
+
+    /**
+     * Saves the slide being shown to localStorage, and carries on from it if
+     * the page was reloaded, see PJSMod_Resume.js. Called before the
+     * experiment starts.
+     */
+    enableResume(options={}) {
+        this.resumeKey = progressKey(this.expInfo, 'instructions', options.fields);
+        if (this.resumeKey === undefined) {
+            console.warn('Instructions progress is not saved, as expInfo has no participant or session');
+            return;
+        }
+        this.savedProgress = loadProgress(this.resumeKey);
+        this.savedRecords = loadRecords(this.resumeKey);
+        this.recordsToResend = this.savedRecords.slice();
+    }
+
+    /**
+     * Removes the saved progress, once the instructions it covers are done
+     */
+    clearProgress() {
+        if (this.resumeKey !== undefined) {
+            clearProgress(this.resumeKey);
+        }
+        this.savedProgress = undefined;
+        this.savedRecords = [];
         return Scheduler.Event.NEXT;
     }
 
@@ -92,9 +316,9 @@ export class InstructionsModule {
      * We ask for instructionsName because we need to separate between different
      * runs of instructions which use the same underlying PsychoJS image stim.
      */
-    addInstructions(flowScheduler, instructionsResources, instructionsName) {
+    addInstructions(flowScheduler, instructionsResources, instructionsName, options={}) {
         const scheduler = new Scheduler(this.psychoJS);
-        flowScheduler.add(this._generateInstructionsLoop(instructionsResources, instructionsName), scheduler);
+        flowScheduler.add(this._generateInstructionsLoop(instructionsResources, instructionsName, options), scheduler);
         flowScheduler.add(scheduler);
     }
 
@@ -102,12 +326,27 @@ export class InstructionsModule {
      * Generates the PsychoJS loop of the instructions, given a list of instruction
      * resources passed in.
      */
-    _generateInstructionsLoop(instructionsResources, instructionsName) {
+    _generateInstructionsLoop(instructionsResources, instructionsName, options={}) {
         this.instructionsCache[instructionsName] = {
+            "name": instructionsName,
+            // A resource list, or a map from locale to one
+            "sources": instructionsResources,
             "resources": instructionsResources,
+            "options": this._setOptions(options),
             "currentIndex": 0
         }
         return (scheduler) => {
+            // Sets finished before a reload are passed over
+            let run = this.runsStarted++;
+            let resumed = this._resumedRun(run, instructionsName);
+            if (resumed && resumed.finished) {
+                scheduler.add(() => {
+                    this.runs[run] = instructionsName;
+                    scheduler.stop();
+                    return Scheduler.Event.NEXT;
+                });
+                return Scheduler.Event.NEXT;
+            }
             let trials = new TrialHandler({
                 psychoJS: this.psychoJS,
                 nReps: MAX_INSTRUCTIONS, method: TrialHandler.Method.SEQUENTIAL,
@@ -117,7 +356,9 @@ export class InstructionsModule {
             });
             this.psychoJS.experiment.addLoop(trials);
 
-            // Schedule all the trials, we don't care about saving any data
+            // Start the set from its first slide
+            scheduler.add(() => this._InstructionsSetBegin(instructionsName, run, resumed));
+            // Schedule all the trials
             for (const _ of trials) {
                 scheduler.add(() => this._InstructionsRoutineBegin(instructionsName));
                 scheduler.add(() => this._InstructionsRoutineEachFrame());
@@ -125,11 +366,17 @@ export class InstructionsModule {
                 // If the end condition is met (at end of instructions, return)
                 scheduler.add(() => {
                     if (this.currInstr.currentIndex == -1) { 
+                        this._InstructionsSetEnd();
                         scheduler.stop(); 
                     }
                     return Scheduler.Event.NEXT;
                 });
             }
+            // Only reached if every trial ran without the set being finished
+            scheduler.add(() => {
+                this._InstructionsSetEnd();
+                return Scheduler.Event.NEXT;
+            });
 
             // Move on to the next event
             return Scheduler.Event.NEXT;
@@ -138,15 +385,71 @@ export class InstructionsModule {
 
 
     /**
-     * Run on each loop of instructions, simply sets the image
+     * Resets a set of instructions to its first slide, or the slide it was on
+     * before a reload, and starts its record
+     */
+    _InstructionsSetBegin(instructionsName, run, resumed) {
+        this.currInstr = this.instructionsCache[instructionsName];
+        this.currInstr.resources = this._localize(this.currInstr.sources, 'the resource list');
+        this.currInstr.currentIndex = 0;
+        this.currInstr.run = run;
+        // Slides shown for their minimum time so far
+        this.currInstr.viewed = new Set();
+        this.currInstr.viewing = {
+            instructions: instructionsName,
+            slides: [],
+            presses: [],
+            events: []
+        };
+        if (resumed) {
+            this.currInstr.currentIndex = Math.min(resumed.slide, this.currInstr.resources.length - 1);
+            this.currInstr.viewing.resumedAt = this.currInstr.currentIndex;
+        }
+        this.clock.reset();
+        return Scheduler.Event.NEXT;
+    }
+
+    /**
+     * Saves the record of how a set of instructions was viewed
+     */
+    _InstructionsSetEnd() {
+        let viewing = this.currInstr.viewing;
+        viewing.slideDurations = this.currInstr.resources.map((_, i) => viewing.slides
+            .filter((el) => el.slide == i)
+            .reduce((total, el) => total + el.duration, 0));
+        viewing.duration = this.clock.getTime();
+        viewing.revisits = viewing.slides.length - new Set(viewing.slides.map((el) => el.slide)).size;
+        this._saveRecord(this.currInstr.name + '_viewing', viewing);
+        this.runs[this.currInstr.run] = this.currInstr.name;
+        this._saveProgress(undefined);
+    }
+
+    /**
+     * Run on each loop of instructions, simply shows the slide
      */
     _InstructionsRoutineBegin(instructionsName) {
         this.currInstr = this.instructionsCache[instructionsName];
-        // Build the image for this stage of the instructios
-        this.image.setImage(this.currInstr.resources[this.currInstr.currentIndex]["name"]);
-        this.image.setAutoDraw(true);
+        // Build the stimuli for this stage of the instructions
+        let resource = this.currInstr.resources[this.currInstr.currentIndex];
+        this.slideStimuli = this._slideStimuli(resource);
+        this.slideStimuli.forEach((stim) => stim.setAutoDraw(true));
+        this.currInstr.viewing.slides.push({
+            slide: this.currInstr.currentIndex,
+            name: resource["name"] !== undefined ? resource["name"] : resource["type"],
+            onset: this.clock.getTime()
+        });
+        this._saveProgress({
+            run: this.currInstr.run,
+            name: instructionsName,
+            slide: this.currInstr.currentIndex
+        });
         // Slide has not finished
         this.slideFinished = false;
+        this.canLeave = false;
+        this._updateNavigation();
+        if (this.currInstr.options.autoAdvance) {
+            this._startSlide();
+        }
         return Scheduler.Event.NEXT;
     }
 
@@ -154,20 +457,66 @@ export class InstructionsModule {
      * Called each frame of the instructions routine
      */
     _InstructionsRoutineEachFrame() {
+        let options = this.currInstr.options;
+        if (options.autoAdvance) {
+            return this._autoAdvanceFrame();
+        }
+        // Slides can only be left forwards once shown for their minimum time
+        if (!this.canLeave && this._slideTime() >= this._minTime()) {
+            this.canLeave = true;
+            this.currInstr.viewed.add(this.currInstr.currentIndex);
+            if (options.cue) {
+                this.cue.text = this._hint() ? 'Press ' + this._hint() : '';
+                this.cue.setAutoDraw(true);
+            }
+            this._updateNavigation();
+        }
+
         // Update'/raw components on each frame
-        let buttonPress = this.psychoJS.eventManager.getKeys({"keyList": ["b", "n", "f"]});
+        let keyList = [...options.keys.back, ...options.keys.next, ...options.keys.finish];
+        let buttonPress = this.psychoJS.eventManager.getKeys({"keyList": keyList});
+        let key = undefined;
+        let action = undefined;
         if (buttonPress.length > 0) {
+            key = buttonPress[0];
+            action = this._keyAction(key);
+        } else if (this._mouseClicked() && options.buttons) {
+            key = "mouse";
+            if (this.currInstr.currentIndex > 0 && this.backButton.contains(this.mouse)) {
+                action = "back";
+            } else if (this.nextButton.contains(this.mouse)) {
+                action = this._isLast() ? "finish" : "next";
+            }
+        }
+        if (action !== undefined) {
+            let slide = this.currInstr.currentIndex;
             // User pressed "next" instructions
-            if ((buttonPress[0] === "n") && (this.currInstr.currentIndex < this.currInstr.resources.length - 1)) {
+            if ((action === "next") && !this._isLast() && this.canLeave) {
                 this.slideFinished = true;
                 this.currInstr.currentIndex += 1;
-            } else if ((buttonPress[0] === "b") && (this.currInstr.currentIndex > 0)) {
+            } else if ((action === "back") && (this.currInstr.currentIndex > 0)) {
                 this.slideFinished = true;
                 this.currInstr.currentIndex -= 1;
-            } else if ((buttonPress[0] === "f") && (this.currInstr.currentIndex === this.currInstr.resources.length - 1)) {
+            } else if ((action === "finish") && this._canFinish()) {
                 this.slideFinished = true;
                 this.currInstr.currentIndex = -1;
             }
+            this.currInstr.viewing.presses.push({
+                key: key,
+                time: this.clock.getTime(),
+                slide: slide,
+                action: action,
+                moved: this.slideFinished,
+                locked: !this.canLeave && action !== "back"
+            });
+            if (this.slideFinished) {
+                this._saveRecord(this.currInstr.name + '_navigation', {
+                    instructions: this.currInstr.name,
+                    key: key,
+                    from: slide,
+                    to: this.currInstr.currentIndex
+                });
+            }
             this.psychoJS.eventManager.clearEvents();
         }
 
@@ -181,10 +530,451 @@ export class InstructionsModule {
     }
 
     /**
-     * Terminates an instruction's run by turning off the image
+     * Terminates an instruction's run by turning off the slide
      */
     _InstructionsRoutineEnd() {
-        this.image.setAutoDraw(false);
+        this._stopNarration();
+        this.slideStimuli.forEach((stim) => stim.setAutoDraw(false));
+        this.cue.setAutoDraw(false);
+        this.backButton.setAutoDraw(false);
+        this.nextButton.setAutoDraw(false);
+        this.footer.setAutoDraw(false);
+        let slides = this.currInstr.viewing.slides;
+        let shown = slides[slides.length - 1];
+        shown.duration = this.clock.getTime() - shown.onset;
         return Scheduler.Event.NEXT;
     }
-}
\ No newline at end of file
+
+    /* ------------------------------ Resume ------------------------------- */
+
+    /**
+     * Saves the sets finished so far and the slide being shown, if resuming
+     * is enabled
+     */
+    _saveProgress(current) {
+        if (this.resumeKey !== undefined) {
+            saveProgress(this.resumeKey, { runs: this.runs, current: current });
+        }
+    }
+
+    /**
+     * Returns the saved progress of a set about to be shown, marked finished
+     * if it was, or undefined if there is none. Progress from a different
+     * order of sets is dropped from there on.
+     */
+    _resumedRun(run, instructionsName) {
+        if (this.savedProgress === undefined) {
+            return undefined;
+        }
+        let finished = this.savedProgress.runs[run];
+        let current = this.savedProgress.current;
+        if (finished === instructionsName) {
+            return { finished: true };
+        }
+        if (!finished && current && current.run === run && current.name === instructionsName) {
+            return current;
+        }
+        if (finished || (current && current.run === run)) {
+            console.warn('Instructions ' + instructionsName + ': saved progress does not match the instructions, starting again');
+            this.savedProgress = { runs: this.savedProgress.runs.slice(0, run), current: undefined };
+        }
+        return undefined;
+    }
+
+    /* ---------------------------- Navigation ----------------------------- */
+
+    /**
+     * Returns the options of a set, over the module's options and defaults
+     */
+    _setOptions(options) {
+        let setOptions = Object.assign({}, NAVIGATION, this.options, options);
+        setOptions.keys = Object.assign({}, NAVIGATION.keys, this.options.keys, options.keys);
+        Object.keys(setOptions.keys).forEach((action) => {
+            setOptions.keys[action] = [].concat(setOptions.keys[action]);
+        });
+        if (setOptions.finishOnNext) {
+            setOptions.keys.finish = [...setOptions.keys.next, ...setOptions.keys.finish];
+        }
+        return setOptions;
+    }
+
+    /**
+     * Returns the action of a key. A key given for both next and finish
+     * finishes from the last slide and goes next from any other.
+     */
+    _keyAction(key) {
+        let keys = this.currInstr.options.keys;
+        let actions = this._isLast() ? ["back", "finish", "next"] : ["back", "next", "finish"];
+        return actions.find((action) => keys[action].includes(key));
+    }
+
+    /**
+     * Returns what to press to leave the slide, like '"→" to continue', or
+     * to go back to slides which must be seen before finishing. It is an
+     * empty string if the slide can not be left yet.
+     */
+    _hint() {
+        if (!this.canLeave) {
+            return '';
+        }
+        let keys = this.currInstr.options.keys;
+        if (this._canFinish() && keys.finish.length > 0) {
+            return '"' + _keyName(keys.finish[0]) + '" to finish';
+        }
+        if (!this._isLast() && keys.next.length > 0) {
+            return '"' + _keyName(keys.next[0]) + '" to continue';
+        }
+        // Finishing waits on slides not yet seen, which are before this one
+        if (this._isLast() && !this._canFinish() && keys.back.length > 0) {
+            return '"' + _keyName(keys.back[0]) + '" to go back to the slides not seen yet';
+        }
+        return '';
+    }
+
+    /**
+     * Shows the buttons and footer a slide has, as they are for whether it can
+     * be left yet
+     */
+    _updateNavigation() {
+        let options = this.currInstr.options;
+        if (options.buttons && !options.autoAdvance) {
+            this.backButton.setText(options.backText);
+            this.backButton.setAutoDraw(this.currInstr.currentIndex > 0);
+            this.nextButton.setText(this._isLast() ? options.finishText : options.nextText);
+            this.nextButton.setOpacity(this.canLeave && (!this._isLast() || this._canFinish()) ? 1 : 0.3);
+            this.nextButton.setAutoDraw(true);
+        }
+        if (options.footer) {
+            let hint = this._hint();
+            this.footer.setText((options.footer === true ? FOOTER : options.footer)
+                .replace('{slide}', this.currInstr.currentIndex + 1)
+                .replace('{total}', this.currInstr.resources.length)
+                .replace('{hint}', hint ? ' - press ' + hint : ''));
+            this.footer.setAutoDraw(true);
+        }
+    }
+
+    /**
+     * Whether the mouse has been clicked, or the screen tapped, since the
+     * last frame
+     */
+    _mouseClicked() {
+        let pressed = this.mouse.getPressed()[0] > 0;
+        let clicked = pressed && !this.mouseWasPressed;
+        this.mouseWasPressed = pressed;
+        return clicked;
+    }
+
+    /* --------------------------- Auto-advance ---------------------------- */
+
+    /**
+     * Starts showing the current slide, and playing its narration, from the
+     * beginning
+     */
+    _startSlide() {
+        let resource = this.currInstr.resources[this.currInstr.currentIndex];
+        this.paused = false;
+        this.slideStart = this.clock.getTime();
+        this.audioEnded = false;
+        this.cue.setAutoDraw(false);
+        this._logEvent("show");
+        this._stopNarration();
+        if (resource["audio"] !== undefined) {
+            if (!this.narrations.has(resource["audio"])) {
+                this.narrations.set(resource["audio"], new sound.Sound({
+                    win: this.psychoJS.window,
+                    value: resource["audio"],
+                    secs: -1, stereo: true
+                }));
+            }
+            this.narration = this.narrations.get(resource["audio"]);
+            this.narration.play();
+            this._logEvent("audioStart");
+        }
+    }
+
+    /**
+     * Called each frame of a slide which advances on its own
+     */
+    _autoAdvanceFrame() {
+        let keys = this.currInstr.options.keys;
+        let buttonPress = this.psychoJS.eventManager.getKeys({"keyList": [...keys.pause, ...keys.replay]});
+        if (buttonPress.length > 0) {
+            if (keys.pause.includes(buttonPress[0]) && !this.paused) {
+                this.paused = true;
+                this.pausedAt = this.clock.getTime();
+                this._stopNarration();
+                this._logEvent("pause");
+                this.cue.text = 'Paused. Press "' + _keyName(keys.pause[0]) + '" to continue';
+                this.cue.setAutoDraw(true);
+            } else if (keys.pause.includes(buttonPress[0])) {
+                this._resumeSlide();
+            } else {
+                this._logEvent("replay");
+                this._startSlide();
+            }
+            this.psychoJS.eventManager.clearEvents();
+        }
+        if (this.paused) {
+            return Scheduler.Event.FLIP_REPEAT;
+        }
+
+        let time = this.clock.getTime() - this.slideStart;
+        if (this.narration !== undefined && !this.audioEnded && time >= this._narrationDuration()) {
+            this.audioEnded = true;
+            this._logEvent("audioEnd");
+        }
+        if (time >= this._slideDuration()) {
+            this._logEvent("advance");
+            this.slideFinished = true;
+            this.currInstr.currentIndex = this._isLast() ? -1 : this.currInstr.currentIndex + 1;
+            return Scheduler.Event.NEXT;
+        }
+        return Scheduler.Event.FLIP_REPEAT;
+    }
+
+    /**
+     * Carries on a paused slide from where it was paused. Sounds can not be
+     * paused, so an unfinished narration is played again from that point.
+     */
+    _resumeSlide() {
+        let resource = this.currInstr.resources[this.currInstr.currentIndex];
+        let elapsed = this.pausedAt - this.slideStart;
+        this.paused = false;
+        this.slideStart = this.clock.getTime() - elapsed;
+        this.cue.setAutoDraw(false);
+        this._logEvent("resume");
+        if (resource["audio"] !== undefined && !this.audioEnded) {
+            this.narration = new sound.Sound({
+                win: this.psychoJS.window,
+                value: resource["audio"],
+                secs: -1, startTime: elapsed, stereo: true
+            });
+            this.narration.play();
+        }
+    }
+
+    /**
+     * Returns how long the current slide is shown for, the longer of its
+     * narration and its duration, or the set's
+     */
+    _slideDuration() {
+        let resource = this.currInstr.resources[this.currInstr.currentIndex];
+        let duration = resource["duration"] !== undefined ?
+            resource["duration"] : this.currInstr.options.duration;
+        if (resource["audio"] !== undefined) {
+            return Math.max(this._narrationDuration(), duration || 0);
+        }
+        return duration !== undefined ? duration : SLIDE_DURATION;
+    }
+
+    /**
+     * Returns how long the current slide's narration lasts in full
+     */
+    _narrationDuration() {
+        return this.narrations.get(this.currInstr.resources[this.currInstr.currentIndex]["audio"]).getDuration();
+    }
+
+    /**
+     * Stops the narration playing, if there is one
+     */
+    _stopNarration() {
+        if (this.narration !== undefined) {
+            this.narration.stop();
+            this.narration = undefined;
+        }
+    }
+
+    /**
+     * Adds a timing event to the record of the set
+     */
+    _logEvent(event) {
+        this.currInstr.viewing.events.push({
+            event: event,
+            time: this.clock.getTime(),
+            slide: this.currInstr.currentIndex
+        });
+    }
+
+    /* ------------------------------ Slides ------------------------------- */
+
+    /**
+     * Returns the stimuli showing a slide, with placeholders in its text
+     * filled in from expInfo
+     */
+    _slideStimuli(resource) {
+        let type = resource["type"] || "image";
+        if (type === "image") {
+            this.image.setImage(resource["name"]);
+            return [this.image];
+        }
+        if (!this.builtSlides.has(resource)) {
+            let specs;
+            if (type === "text") {
+                specs = [resource];
+            } else if (type === "imageText") {
+                specs = [
+                    { type: "image", image: resource["name"], pos: resource["pos"] || [0, 0.05],
+                      size: resource["size"] || [1.0, 0.7], units: resource["units"] },
+                    { type: "text", text: resource["caption"], pos: resource["captionPos"] || [0, -0.37],
+                      height: resource["captionHeight"], color: resource["captionColor"],
+                      font: resource["font"], units: resource["units"] }
+                ];
+            } else if (type === "layout") {
+                specs = resource["stimuli"] || [];
+            } else {
+                console.warn('Unknown instructions slide type ' + type + ', expected one of ' +
+                    SLIDE_TYPES.join(', '));
+                specs = [];
+            }
+            this.builtSlides.set(resource, specs.map((spec) => ({
+                spec: spec,
+                stim: spec["type"] === "image" ? this._makeImage(spec) : this._makeText(spec)
+            })));
+        }
+        return this.builtSlides.get(resource).map((el) => {
+            if (el.spec["type"] !== "image") {
+                el.stim.setText(this._fillText(el.spec["text"]));
+            }
+            return el.stim;
+        });
+    }
+
+    /**
+     * Makes an image stimulus of a layout or captioned slide
+     */
+    _makeImage(spec) {
+        return new visual.ImageStim({
+            win: this.psychoJS.window,
+            name: 'slideImage', units: spec["units"] || this.units,
+            image: spec["image"], mask: undefined,
+            ori: 0, pos: spec["pos"] || [0, 0], size: spec["size"],
+            color: new util.Color([1, 1, 1]), opacity: 1
+        });
+    }
+
+    /**
+     * Makes a text stimulus of a slide, styled by its spec
+     */
+    _makeText(spec) {
+        return new visual.TextStim({
+            win: this.psychoJS.window,
+            name: 'slideText', units: spec["units"] || this.units,
+            text: '', font: spec["font"] || 'Arial',
+            pos: spec["pos"] || [0, 0], height: spec["height"] || 0.04,
+            wrapWidth: spec["wrapWidth"] || 1.2, ori: 0,
+            alignHoriz: spec["alignHoriz"] || 'center',
+            bold: spec["bold"] || false, italic: spec["italic"] || false,
+            color: new util.Color(spec["color"] || 'black'), opacity: 1
+        });
+    }
+
+    /**
+     * Fills in {{expInfo.___}} placeholders in a slide's text
+     */
+    _fillText(text) {
+        return fillTemplate(this._localize(text, 'a text') || '', (reference) =>
+            reference.source === 'expInfo' && this.expInfo ? this.expInfo[reference.name] : undefined);
+    }
+
+    /**
+     * Returns the participant's language version of a value which may be a
+     * map from locale, warning if it has none
+     */
+    _localize(value, what) {
+        return localize(value, localeOf(this.expInfo),
+            this.currInstr.options.fallbackLocale || DEFAULT_LOCALE, (missing, used) => {
+                console.warn('Instructions ' + this.currInstr.name + ': ' + what +
+                    ' has no "' + missing + '" version, using "' + used + '"');
+            });
+    }
+
+    /* ------------------------------ Timing ------------------------------- */
+
+    /**
+     * Returns how long the current slide has been shown for
+     */
+    _slideTime() {
+        let slides = this.currInstr.viewing.slides;
+        return this.clock.getTime() - slides[slides.length - 1].onset;
+    }
+
+    /**
+     * Returns the minimum time of the current slide, its own or the set's
+     */
+    _minTime() {
+        let resource = this.currInstr.resources[this.currInstr.currentIndex];
+        if (resource["minTime"] !== undefined) {
+            return resource["minTime"];
+        }
+        return this.currInstr.options.minTime || 0;
+    }
+
+    /**
+     * Whether the current slide is the last of the set
+     */
+    _isLast() {
+        return this.currInstr.currentIndex === this.currInstr.resources.length - 1;
+    }
+
+    /**
+     * Whether the set can be finished from the current slide
+     */
+    _canFinish() {
+        let options = this.currInstr.options;
+        return this.canLeave &&
+            (this._isLast() || options.mustReachLast === false) &&
+            (!options.mustViewAll || this.currInstr.viewed.size === this.currInstr.resources.length);
+    }
+
+    /**
+     * Saves a record to every data sink
+     */
+    _saveRecord(name, data) {
+        recordTo(this.sinks, name, data);
+        if (this.resumeKey !== undefined) {
+            this.savedRecords.push({ name: name, data: data });
+            saveRecords(this.resumeKey, this.savedRecords);
+        }
+    }
+}
+
+function _initButton(psychoJS, name, pos) {
+    return new visual.TextStim({
+        win: psychoJS.window,
+        name: name, units: 'height',
+        text: '', pos: pos, height: 0.04,
+        color: new util.Color('black'), opacity: 1
+    });
+}
+
+// Returns how a key is written for participants
+function _keyName(key) {
+    return KEY_NAMES[key] || key;
+}
+
+/**
+ * Returns the resources of a list of instructions which need downloading,
+ * those of image slides, of the images in captioned and layout slides and
+ * of narrations, in every language if it is a map from locale
+ */
+export function instructionResources(instructionsResources) {
+    if (isLocaleMap(instructionsResources)) {
+        return [].concat(...Object.values(instructionsResources).map(instructionResources));
+    }
+    let resources = [];
+    instructionsResources.forEach((resource) => {
+        let type = resource["type"] || "image";
+        if (resource["audioPath"] !== undefined) {
+            resources.push({ name: resource["audio"], path: resource["audioPath"] });
+        }
+        if (type === "image" || type === "imageText") {
+            resources.push({ name: resource["name"], path: resource["path"] });
+        } else if (type === "layout") {
+            (resource["stimuli"] || [])
+                .filter((spec) => spec["type"] === "image")
+                .forEach((spec) => resources.push({ name: spec["image"], path: spec["path"] }));
+        }
+    });
+    return resources;
+}
@@ -0,0 +1,127 @@
+/*
+This module picks the text of the participant's language out of surveys and
+instructions, used by PJSMod_Questionnaire.js, PJSMod_Instructions.js and
+PJSMod_SurveyValidator.js. Anywhere survey text is written, a map from locale
+to text can be given instead:
+
+  {
+    index: 1,
+    question: { "en": "How old are you?", "es": "¿Cuántos años tiene?", "zh": "您多大了？" },
+    input: {
+      type: "DISCRETE",
+      inputs: [
+        { key: "y", value: { "en": "Yes", "es": "Sí", "zh": "是" } },
+        ...
+      ]
+    }
+  }
+
+This works for survey instructions, reviewText and idleText, question text,
+feedback, option values and labels, slider labels and tick labels, and
+validation messages. Instruction sets can be given as a map from locale to
+resource list, and text slides can use maps for their text and caption.
+
+The locale is the "language" field of expInfo, e.g. "es". If a map has no
+text for it, the text of the language without its region is used ("es" for
+"es-MX"), then the fallback locale, "en" unless a survey sets fallbackLocale,
+then the first locale in the map, with a warning in the console. Options are
+recorded with their values in the participant's language, so conditions on
+them are written on the key with field "choice" (see PJSMod_Branching.js), and
+the validator reports conditions on their values as errors.
+*/
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+export const LOCALE_FIELD = 'language'; // Field of expInfo holding the locale
+export const DEFAULT_LOCALE = 'en'; // Locale used when text has no other
+
+// Fields of a survey which hold text, and are looked through for locale maps
+const TEXT_FIELDS = ['instructions', 'reviewText', 'idleText', 'question', 'feedback',
+  'value', 'label', 'labels', 'message'];
+// Fields which never hold survey text, like conditions, so are not looked through
+const SKIPPED_FIELDS = ['showIf', 'skipIf', 'jumps', 'scoring', 'randomize', 'theme'];
+
+/* -------------------------------------------------------------------------- */
+/*                                   Locales                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the participant's locale from expInfo, or the fallback if it has
+ * none
+ */
+export function localeOf(expInfo, fallback=DEFAULT_LOCALE) {
+  let locale = expInfo ? expInfo[LOCALE_FIELD] : undefined;
+  return typeof locale === 'string' && locale.trim() !== '' ? locale.trim() : fallback;
+}
+
+/**
+ * Whether a value is a map from locale to text (or to a resource list)
+ */
+export function isLocaleMap(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Returns the value for a locale. Values which are not locale maps are
+ * returned as they are. onMissing(locale, used) is called when the map has
+ * nothing for the locale, with the locale used instead.
+ */
+export function localize(value, locale, fallback=DEFAULT_LOCALE, onMissing=() => {}) {
+  if (!isLocaleMap(value)) {
+    return value;
+  }
+  let candidates = [locale, locale.split('-')[0], fallback, ...Object.keys(value)];
+  let used = candidates.find((el) => value[el] !== undefined);
+  if (used !== locale && used !== locale.split('-')[0]) {
+    onMissing(locale, used);
+  }
+  return used === undefined ? undefined : value[used];
+}
+
+/**
+ * Returns a copy of a survey with every locale map replaced by its text for
+ * the locale. onMissing(path, locale, used) is called for each map without
+ * text for it, with the path of the field, e.g. "questions[2].question".
+ */
+export function localizeSurvey(survey, locale, onMissing=() => {}) {
+  let fallback = survey.fallbackLocale || DEFAULT_LOCALE;
+  let walk = (value, path, isText) => {
+    if (isText && isLocaleMap(value)) {
+      return localize(value, locale, fallback, (missing, used) => onMissing(path, missing, used));
+    }
+    if (Array.isArray(value)) {
+      return value.map((el, i) => walk(el, path + '[' + i + ']', isText));
+    }
+    if (isLocaleMap(value)) {
+      let copy = {};
+      Object.entries(value).forEach(([field, el]) => {
+        copy[field] = SKIPPED_FIELDS.includes(field) ? el :
+          walk(el, path ? path + '.' + field : field, TEXT_FIELDS.includes(field));
+      });
+      return copy;
+    }
+    return value;
+  };
+  return walk(survey, '', false);
+}
+
+/**
+ * Returns every locale the locale maps of a survey have text for
+ */
+export function surveyLocales(survey) {
+  let locales = new Set();
+  let walk = (value, isText) => {
+    if (isText && isLocaleMap(value)) {
+      Object.keys(value).forEach((el) => locales.add(el));
+    } else if (Array.isArray(value)) {
+      value.forEach((el) => walk(el, isText));
+    } else if (isLocaleMap(value)) {
+      Object.entries(value).filter(([field]) => !SKIPPED_FIELDS.includes(field))
+        .forEach(([field, el]) => walk(el, TEXT_FIELDS.includes(field)));
+    }
+  };
+  walk(survey, false);
+  return [...locales];
+}
@@ -0,0 +1,96 @@
+/*
+This module fills in placeholders in survey text with earlier answers and
+other values, used by PJSMod_Questionnaire.js for question text, option values
+and labels, slider labels and survey instructions. Placeholders are written
+in double braces:
+
+  {{q3}} or {{q3.value}}    Answer to the question named (or indexed) q3
+  {{q3.choice}}             Key pressed to answer q3
+  {{demo:q3}}               Answer to q3 in the survey set "demo"
+  {{expInfo.participant}}   A field of expInfo, e.g. participant or condition
+  {{computed.total}}        A value given to SurveyQuestionsModule with
+                            addComputedValue
+  {{q3 | your city}}        Text to use if there is no answer or value
+
+A placeholder with no value and no fallback is left empty, so skipped
+questions never show up as "undefined". Multi-select answers are listed
+separated by commas.
+*/
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+const PLACEHOLDER = /\{\{([^{}]*)\}\}/g; // A placeholder and its expression
+const ANSWER_FIELDS = ['value', 'choice']; // Fields of an answer which can be shown
+
+/* -------------------------------------------------------------------------- */
+/*                                Placeholders                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the text with each placeholder replaced. resolve(reference) is
+ * given a parsed placeholder (see parsePlaceholder) and returns its value, or
+ * undefined if it has none.
+ */
+export function fillTemplate(text, resolve) {
+  if (typeof text !== 'string' || !text.includes('{{')) {
+    return text;
+  }
+  return text.replace(PLACEHOLDER, (match, expression) => {
+    let reference = parsePlaceholder(expression);
+    let value = reference.error ? undefined : resolve(reference);
+    if (Array.isArray(value)) {
+      value = value.join(', ');
+    }
+    return value === undefined || value === null || value === '' ?
+      reference.fallback : String(value);
+  });
+}
+
+/**
+ * Parses the expression inside a placeholder into one of
+ *   { source: "answer", question, set?, field, fallback }
+ *   { source: "expInfo" / "computed", name, fallback }
+ * with an error message instead if it can not be understood
+ */
+export function parsePlaceholder(expression) {
+  let [target, ...fallback] = expression.split('|');
+  let reference = { fallback: fallback.join('|').trim() };
+  target = target.trim();
+  let source = target.split('.')[0];
+  if (source === 'expInfo' || source === 'computed') {
+    reference.source = source;
+    reference.name = target.slice(source.length + 1);
+    if (reference.name === '') {
+      reference.error = 'needs a name after ' + source + '.';
+    }
+    return reference;
+  }
+
+  reference.source = 'answer';
+  let set = target.includes(':') ? target.slice(0, target.indexOf(':')) : undefined;
+  let [question, field, ...rest] = target.slice(set === undefined ? 0 : set.length + 1).split('.');
+  if (set !== undefined) {
+    reference.set = set.trim();
+  }
+  reference.question = question.trim();
+  reference.field = field === undefined ? 'value' : field.trim();
+  if (reference.question === '') {
+    reference.error = 'needs a question';
+  } else if (!ANSWER_FIELDS.includes(reference.field) || rest.length > 0) {
+    reference.error = 'can only show the ' + ANSWER_FIELDS.join(' or ') + ' of an answer';
+  }
+  return reference;
+}
+
+/**
+ * Returns the parsed placeholders in a text, for checking what they refer to
+ */
+export function findPlaceholders(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return [...text.matchAll(PLACEHOLDER)].map((match) =>
+    Object.assign(parsePlaceholder(match[1]), { text: match[0] }));
+}
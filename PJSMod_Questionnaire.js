@@ -22,6 +22,26 @@ SurveyQuestions.addSurveyQuestions(flowScheduler, SURVEY_2);
   
 ...
 
+The surveys are checked with PJSMod_SurveyValidator.js when initStimuli runs,
+and the experiment ends with a list of the errors if any are found.
+
+Responses are saved through psiTurk if there is an instance, and otherwise to
+the PsychoJS data file with a column per field. A list of data sinks, like an
+HTTP endpoint, can be given after the clock to save to instead, see
+PJSMod_DataSinks.js.
+
+Colors, fonts, sizes and the layout of options can be changed with a theme
+given after the sinks, see PJSMod_Theme.js.
+
+Survey text can be given in several languages, picked by expInfo.language,
+see PJSMod_Locale.js.
+
+Progress can be saved in the browser so the surveys carry on after the page
+is reloaded, by calling SurveyQuestions.enableResume(), see PJSMod_Resume.js.
+
+How far through the surveys the participant is can be shown on every question
+by calling SurveyQuestions.showProgress(), see showProgress below.
+
 */
 
 /* -------------------------------------------------------------------------
@@ -29,23 +49,45 @@ SurveyQuestions.addSurveyQuestions(flowScheduler, SURVEY_2);
  * ------------------------------------------------------------------------- */
 
 import { PsychoJS } from 'https://pavlovia.org/lib/core-3.2.js';
-import { TrialHandler } from 'https://pavlovia.org/lib/data-3.2.js';
+import * as core from 'https://pavlovia.org/lib/core-3.2.js';
 import { Scheduler } from 'https://pavlovia.org/lib/util-3.2.js';
 import * as util from 'https://pavlovia.org/lib/util-3.2.js';
 import * as visual from 'https://pavlovia.org/lib/visual-3.2.js';
 
+import { conditionReferences, evaluateCondition } from './PJSMod_Branching.js';
+import { defaultSinks, recordTo } from './PJSMod_DataSinks.js';
+import { expandGrids } from './PJSMod_Grids.js';
+import { localeOf, localizeSurvey, surveyLocales } from './PJSMod_Locale.js';
+import { fillTemplate } from './PJSMod_Piping.js';
+import { itemRandom, makeRandom, randomizeSurvey, surveySeed } from './PJSMod_Randomization.js';
+import { clearProgress, loadProgress, loadRecords, progressKey, resendRecords, saveProgress,
+  saveRecords } from './PJSMod_Resume.js';
+import { scoreSurvey } from './PJSMod_Scoring.js';
+import { optionLayout, resolveTheme } from './PJSMod_Theme.js';
+import { validateSurvey } from './PJSMod_SurveyValidator.js';
+
 
 /* -------------------------------------------------------------------------- */
 /*                                  Constants                                 */
 /* -------------------------------------------------------------------------- */
 
-const SURVEY_CONTINUING = 0;
-const SURVEY_SKIPPING = 1;
-const SURVEY_BEGIN_SKIP = 2;
-
 const TAKING_DISCRETE = 1; // Trial stage for discrete input
 const TAKING_CONTINUOUS = 2; // Trial stage for continuous input
 const DISPLAY_RESPONSE = 3; // Trial stage for displaying response with linger
+const TAKING_SLIDER = 4; // Trial stage for slider input
+const TAKING_MULTI = 5; // Trial stage for multi-select input
+// Trial stages in which the participant is answering
+const TAKING_STAGES = [TAKING_DISCRETE, TAKING_CONTINUOUS, TAKING_SLIDER, TAKING_MULTI];
+
+const MAX_QUESTION_STEPS = 500; // Maximum questions asked in a survey, including going back
+// Progress indicator used when showProgress is called, see there
+const PROGRESS_INDICATOR = {
+  style: 'both',
+  text: 'Question {current} of {total}',
+  pos: [0, 0.47],
+  width: 0.5,
+  height: 0.025
+};
 
 /* --------------------------------------------------------------------------
  * Survey questions                                 
@@ -55,23 +97,190 @@ const DISPLAY_RESPONSE = 3; // Trial stage for displaying response with linger
  * Contains stuff for asking survey questions
  */
 export class SurveyQuestionsModule {
-  constructor(psychoJS, expInfo, psiTurk, clock) {
+  constructor(psychoJS, expInfo, psiTurk, clock, sinks, theme) {
     this.psychoJS = psychoJS;
     this.psiTurk = psiTurk;
     this.expInfo = expInfo;
     this.clock = clock;
+    // Where records are saved to
+    this.sinks = sinks || defaultSinks(psychoJS, psiTurk);
+    // Theme of every survey, which surveys and questions can change
+    this.theme = theme;
+
+    // Responses to every question asked so far, by survey set and then by
+    // question index and name, so branching can refer to earlier answers
+    this.responses = {};
+    // Resource names of the surveys added, in the order they are asked
+    this.surveyResourceNames = [];
+    // Values which survey text can show as {{computed.name}}
+    this.computed = {};
+    // Subscale scores of each finished survey set which has scoring
+    this.scores = {};
+    // Surveys started so far, and the responses and scores of each finished
+    // one, kept so they can be resumed after a reload (see enableResume)
+    this.runsStarted = 0;
+    this.runs = [];
+    this.resumeKey = undefined;
+    // Records saved so far, and those from before a reload still to be
+    // saved again to the sinks which lost them
+    this.savedRecords = [];
+    this.recordsToResend = [];
+    // Surveys in the order they are added, and the questions answered in
+    // those finished so far, counted by the progress indicator
+    this.scheduledSurveys = [];
+    this.answeredBefore = 0;
+    this.indicator = undefined;
+  }
+
+  /**
+   * Returns the subscale scores of a finished survey set by name, see
+   * PJSMod_Scoring.js, or undefined if it has not been scored
+   */
+  getScores(set) {
+    return this.scores[set];
+  }
+
+  /**
+   * Returns the responses to a survey set by question index and name, or
+   * undefined if it has not been asked
+   */
+  getResponses(set) {
+    return this.responses[set];
+  }
+
+  /**
+   * Whether the survey asked last was finished before the page was reloaded,
+   * so was passed over, see enableResume
+   */
+  wasResumed() {
+    return Boolean(this.lastSurveyResumed);
+  }
+
+  /**
+   * Saves a record to the module's data sinks, as the module saves its own
+   */
+  saveRecord(name, data) {
+    this._saveRecord(name, data);
+  }
+
+  /**
+   * Adds a value survey text can show with {{computed.name}}, see
+   * PJSMod_Piping.js. compute is either the value itself or a function
+   * called with lookup(question, set?), giving an earlier response, and
+   * expInfo each time the text is shown.
+   */
+  addComputedValue(name, compute) {
+    this.computed[name] = compute;
+  }
+
+  /**
+   * Shows which question is being asked out of how many, as text, a bar
+   * which fills up or both, counting every survey added except those with
+   * showProgress false. Questions which branching has passed over, or rules
+   * out on the answers so far, are not counted, so the total can shrink.
+   * Called before the experiment starts, with any of the options:
+   *
+   * {
+   *   style: ___ "text", "bar" or "both", "both" by default
+   *   text: ___ Template of the text, "Question {current} of {total}"
+   *   pos: [x, y] Center of the text, with the bar under it, [0, 0.47]
+   *   width: ___ Width of the bar, 0.5
+   *   height: ___ Height of the text, and twice that of the bar, 0.025
+   *   color: ___ Color of the text and the bar's outline, the theme's color
+   *              by default
+   *   fillColor: ___ Color the bar fills with, the theme's highlightColor
+   * }
+   */
+  showProgress(options={}) {
+    this.indicator = Object.assign({}, PROGRESS_INDICATOR, options);
+  }
+
+  /**
+   * Saves progress through the surveys to localStorage after every answer,
+   * and carries on from it if the page was reloaded, see PJSMod_Resume.js.
+   * Called before the experiment starts.
+   */
+  enableResume(options={}) {
+    this.resumeKey = progressKey(this.expInfo, 'surveys', options.fields);
+    if (this.resumeKey === undefined) {
+      console.warn('Survey progress is not saved, as expInfo has no participant or session');
+      return;
+    }
+    this.savedProgress = loadProgress(this.resumeKey);
+    this.savedRecords = loadRecords(this.resumeKey);
+    this.recordsToResend = this.savedRecords.slice();
+  }
+
+  /**
+   * Removes the saved progress, once the surveys it covers are done
+   */
+  clearProgress() {
+    if (this.resumeKey !== undefined) {
+      clearProgress(this.resumeKey);
+    }
+    this.savedProgress = undefined;
+    this.savedRecords = [];
+    return Scheduler.Event.NEXT;
   }
 
   /**
-   * Initializes the survey question stimuli
+   * Initializes the survey question stimuli. The surveys are validated first,
+   * as resources are downloaded by now, and the experiment is ended if any
+   * survey has errors so they are not found with a participant mid-session.
    */
   initStimuli() {
+    let report = this.validateSurveys();
+    report.warnings.forEach((el) => console.warn(el));
+    if (report.errors.length > 0) {
+      report.errors.forEach((el) => console.error(el));
+      this.psychoJS.quit({
+        message: 'The survey files have errors:<br>' + report.errors.join('<br>'),
+        isCompleted: false
+      });
+      return Scheduler.Event.QUIT;
+    }
+
     this.question = _initQuestion(this.psychoJS);
+    this.backButton = _initBackButton(this.psychoJS);
+    this.review = _initReviewScreen(this.psychoJS);
+    this.countdown = _initCountdown(this.psychoJS);
+    this.progressText = _initProgressText(this.psychoJS);
+    this.progressBar = _initProgressBar(this.psychoJS, 'progressBar', this.indicator || PROGRESS_INDICATOR);
+    this.progressFill = _initProgressBar(this.psychoJS, 'progressFill', this.indicator || PROGRESS_INDICATOR);
+    this.idleWarning = _initIdleWarning(this.psychoJS);
     this.inputTypes = _initInputTypes(this.psychoJS);
     this.currentInput = undefined;
+    // Options can be clicked or tapped on as well as chosen by key
+    this.mouse = new core.Mouse({win: this.psychoJS.window, name: 'surveyMouse'});
+    this.mouseWasPressed = true;
+    // Time spent on the current question and survey, and since the last key
+    this.questionClock = new util.Clock();
+    this.surveyClock = new util.Clock();
+    this.idleClock = new util.Clock();
+    resendRecords(this.recordsToResend, this.sinks);
+    this.recordsToResend = [];
+    // The intro shown by beginSurveySection comes before any survey's theme
+    this._applyTheme(resolveTheme(this.theme));
     return Scheduler.Event.NEXT;
   }
 
+  /**
+   * Validates every survey added, returning {errors, warnings} as lists of
+   * messages prefixed with the survey they come from
+   */
+  validateSurveys() {
+    let report = { errors: [], warnings: [] };
+    let previousSurveys = [];
+    this.surveyResourceNames.forEach((name) => {
+      let survey = this.psychoJS._serverManager.getResource(name);
+      let surveyReport = validateSurvey(survey, previousSurveys);
+      report.errors.push(...surveyReport.errors.map((el) => name + ': ' + el));
+      report.warnings.push(...surveyReport.warnings.map((el) => name + ': ' + el));
+      previousSurveys.push(survey);
+    });
+    return report;
+  }
+
   /**
    * Displays text 
    */
@@ -82,27 +291,34 @@ export class SurveyQuestionsModule {
     }
     let continueOn = false;
     let keys = this.psychoJS.eventManager.getKeys({keyList: ["enter", "return"]});
-    if (keys.length > 0) {
+    if (keys.length > 0 || this._mouseClicked()) {
       continueOn = true;
       this.question.text = '';
       this.question.setAutoDraw(false);
       this.question.status = PsychoJS.Status.NOT_STARTED;
-      this.survey_run_status = SURVEY_CONTINUING;
       return Scheduler.Event.NEXT;
     }
     return Scheduler.Event.FLIP_REPEAT;
   }
 
   /**
-   * Adds a survey question to a scheduler
+   * Adds a survey question to a scheduler. With options.showProgress false,
+   * the survey is left out of the progress indicator whatever its own
+   * showProgress, as comprehension quizzes are.
    */
-  addSurveyQuestions(flowScheduler, surveyResourceName) {
+  addSurveyQuestions(flowScheduler, surveyResourceName, options={}) {
+    // A survey can be asked more than once, but is only validated once
+    if (!this.surveyResourceNames.includes(surveyResourceName)) {
+      this.surveyResourceNames.push(surveyResourceName);
+    }
+    let scheduled = this.scheduledSurveys.length;
+    this.scheduledSurveys.push({ name: surveyResourceName, counted: options.showProgress !== false });
     const scheduler = new Scheduler(this.psychoJS);
-    flowScheduler.add(this._generateSurveyQuestionsLoop(surveyResourceName), scheduler);
+    flowScheduler.add(this._generateSurveyQuestionsLoop(surveyResourceName, scheduled), scheduler);
     flowScheduler.add(scheduler);
   }
 
-  _generateSurveyQuestionsLoop(surveyResourceName) {
+  _generateSurveyQuestionsLoop(surveyResourceName, scheduled) {
     /**
      * Schedules the given survey questions to ask, given a "questions" object
      * of the questions being desired to ask. Receives PsychoJS context stuff
@@ -112,86 +328,248 @@ export class SurveyQuestionsModule {
      *   set: ___,
      *   linger: ___,
      *   instructions: ___,
+     *   allowBack?: ___ If true, the back key returns to the previous question
+     *   backKey?: ___ Key for going back, "b" by default. It does nothing on
+     *                 questions where it is also an answer key.
+     *   review?: ___ If true, a list of the answers is shown at the end where
+     *                any of them can be chosen and changed
+     *   reviewText?: ___ Text shown above the list of answers
+     *   timeLimit?: ___ Seconds the whole survey may take, after which the
+     *                   current question times out and no more are asked
+     *   showCountdown?: ___ If true, the time left is shown on every question
+     *                       with a time limit
+     *   idleWarning?: ___ Seconds without a key press or tap before a warning
+     *                     is shown asking the participant to answer
+     *   idleText?: ___ Text of the idle warning
+     *   randomize?: ___ Randomizes the order of the questions
+     *   fallbackLocale?: ___ Locale of text used when there is none in the
+     *                        participant's language, "en" by default
+     *   showProgress?: ___ If false, the progress indicator is hidden during
+     *                      this survey and its questions are not counted
+     *   theme?: {...} Colors, sizes and layout, see PJSMod_Theme.js
      *   questions: [
      *     {
      *       index: ___,
+     *       name?: ___ Name other questions use to refer to this question
      *       question: ___,
+     *       block?: ___ Block of questions this is shuffled with
+     *       timeLimit?: ___ Seconds to answer in, including specify steps,
+     *                       after which the survey moves on without an answer
+     *       showCountdown?: ___ If true, the time left is shown
+     *       correct?: ___ Key of the correct option, for comprehension
+     *                     quizzes (see PJSMod_ComprehensionCheck.js)
+     *       feedback?: ___ Shown after a quiz if this is answered wrong
+     *       theme?: {...} Changes to the survey's theme for this question
+     *       showIf?: ___ Condition which must hold for the question to be asked
+     *       skipIf?: ___ Condition under which the question is not asked
+     *       jumps?: [ Checked in order once the question is answered
+     *         {
+     *           if: ___ Condition on the answers so far
+     *           to: ___ Name of the question to jump to
+     *         }
+     *       ]
      *       input: {
-     *          type: ____ "DISCRETE", "CONTINUOUS"
+     *          type: ____ "DISCRETE", "CONTINUOUS", "SLIDER", "MULTI"
      *          skips?: [
      *            {
      *              key: ___ Key for which to specify
-     *              index: ___ Index of the question to skip to
+     *              to: ___ Name of the question to skip to
+     *              index: ___ Or, index of the question to skip to
      *            }
      *          ]
-     *          specify?: [
+     *          specify?: [ For MULTI, asked for every selected option
      *            {
      *              key: ___ Key for which to add specify steps
      *              question: ____ Specify question
-     *              inputs: [...] Like below, same structure as question
+     *              input: {...} Same structure as the question's input
      *            }
      *          ]
-     *          inputs?: [ This only is used if type is DISCRETE
+     *          inputs?: [ This only is used if type is DISCRETE or MULTI
      *            {
      *              key: ___ Key to select this option
      *              value: ___ Display value for this option
      *              label: ___ Display label for this option
+     *              exclusive?: ___ For MULTI, if true selecting this option
+     *                              clears the others, e.g. "None of the above"
+     *            }
+     *          ]
+     *          randomize?: ___ Randomizes the order of a DISCRETE or MULTI's
+     *                          options
+     *          keyList?: ___ Keys a CONTINUOUS accepts, "NUMBERS", "DECIMAL"
+     *                        (numbers, "." and "-"), "LETTERS" or both if unset.
+     *                        "TEXT" accepts any characters as typed, including
+     *                        accented and non-Latin ones, with a cursor the
+     *                        arrow keys move. Other key lists type uppercase.
+     *          maxLength?: ___ Longest answer a CONTINUOUS accepts, 10 by
+     *                          default, unlimited for "TEXT"
+     *          maxWords?: ___ Most words a "TEXT" answer can have
+     *          multiline?: ___ If true, a "TEXT" answer is written in a box
+     *                          over several lines, Enter starting a new line,
+     *                          and is submitted with Ctrl+Enter or the button.
+     *                          Answers longer than the box scroll.
+     *          showCounter?: ___ If true, the characters or words typed into
+     *                            a "TEXT" answer are counted under it
+     *          validation?: { Rules a CONTINUOUS answer must pass to be accepted
+     *            required?: ___ If true, the answer can not be empty
+     *            minLength?: ___ Shortest answer accepted
+     *            min?, max?: ___ Answer must be a number within this range
+     *            integer?: ___ If true, answer must be a whole number
+     *            pattern?: ___ Regular expression the answer must match, note
+     *                          letters are typed in uppercase unless "TEXT"
+     *            message?: ___ Shown in place of the default error messages
+     *          }
+     *          minSelected?, maxSelected?: ___ How many options of a MULTI can
+     *                                          be selected, at least 1 by default
+     *          confirmKey?: ___ Key which submits a MULTI, "return" by default
+     *          min?, max?, step?: ___ Range of a SLIDER, step defaults to 1
+     *          initial?: ___ Starting SLIDER position, or "random" for one
+     *                        from the survey's seed, defaults to the middle
+     *                        of the range
+     *          labels?: [___, ___] Anchor labels for the ends of a SLIDER
+     *          ticks?: [ Optional labelled points along a SLIDER
+     *            {
+     *              value: ___ Position of the tick
+     *              label: ___ Text shown below the tick
      *            }
      *          ]
+     *          mustMove?: ___ If true, a SLIDER must be moved before submitting
      *        }
      *     }
      *   ]
      * }
+     *
+     * Conditions can refer to any earlier answer in this or a previous survey
+     * set, see PJSMod_Branching.js for their structure. Jumps and skips can
+     * only move forward through the survey.
+     *
+     * Items sharing a response scale can be given as a grid block in place of
+     * a question, see PJSMod_Grids.js.
+     *
+     * Text can be a map from locale to text, like { "en": ..., "es": ... },
+     * see PJSMod_Locale.js. Responses then record the locale they were
+     * given in.
+     *
+     * Question text, option values and labels, slider labels and instructions
+     * can show earlier answers, expInfo fields and computed values with
+     * placeholders like {{q3.value}}, see PJSMod_Piping.js. Options are
+     * recorded with their values as shown.
+     *
+     * Surveys with scoring save a record of their subscale scores once they
+     * are finished, see PJSMod_Scoring.js. The scores can then be used by the
+     * conditions of later surveys, or read with getScores.
+     *
+     * Question and option orders are randomized as in PJSMod_Randomization.js,
+     * seeded from expInfo. Responses then also record the position the
+     * question was presented in (question_order), the keys of its options in
+     * the order shown (option_order) and the seed.
+     *
+     * Responses to questions with a time limit, or in a survey with one, have
+     * a timedOut flag, which is true if time ran out before they were
+     * answered. With an idle warning, idleWarnings counts how often it showed.
+     *
+     * With allowBack or review, answers are only saved once the survey is
+     * finished, so the data has the final answer to each question along with
+     * how many times it was edited. Answering a question again after going
+     * back continues from the first question which has not been answered.
      */
   
     return (scheduler) => {
-      let survey = this.psychoJS._serverManager.getResource(surveyResourceName);
+      let resource = this.psychoJS._serverManager.getResource(surveyResourceName);
+      // Surveys with text in several languages are asked in the participant's
+      let locale = surveyLocales(resource).length > 0 ? localeOf(this.expInfo) : undefined;
+      if (locale !== undefined) {
+        resource = localizeSurvey(resource, locale, (path, missing, used) => console.warn(
+          'Survey ' + resource.set + ': ' + path + ' has no "' + missing + '" text, using "' + used + '"'));
+      }
+      // Questions are put in the order they are presented in up front, so
+      // the loop below always runs through them sequentially
+      let seed = surveySeed(resource, this.expInfo);
+      let survey = Object.assign({}, resource, {
+        questions: expandGrids(randomizeSurvey(resource, makeRandom(seed))),
+        seed: seed,
+        locale: locale,
+        scheduled: scheduled,
+        countsProgress: this._countsProgress(scheduled, resource)
+      });
       let trialIndices = survey.questions.map((question) => question.index);
-      let trials = new TrialHandler({
-        psychoJS: this.psychoJS,
-        nReps: 1, method: TrialHandler.Method.SEQUENTIAL,
-        extraInfo: this.expInfo, originPath: undefined,
-        trialList: trialIndices,
-        seed: undefined, name: survey.set
-      })
-      this.psychoJS.experiment.addLoop(trials);
-
+      // Surveys finished before a reload are passed over
+      let run = this.runsStarted++;
+      let resumed = this._resumedRun(run, survey, trialIndices);
+      if (resumed && resumed.finished) {
+        scheduler.add(() => {
+          this._restoreFinishedRun(run, resumed, survey);
+          scheduler.stop();
+          return Scheduler.Event.NEXT;
+        });
+        return Scheduler.Event.NEXT;
+      }
       // Read question linger from survey
       this.linger = survey.linger;
 
       // Schedule the trials
+      scheduler.add(() => {
+        this.survey = survey;
+        this.survey_set = survey.set;
+        this.responses[survey.set] = {};
+        // Positions of the questions answered, in the order they are asked
+        // following the branching taken, and their answers by position
+        this.path = [];
+        this.answers = {};
+        this.reviewing = false;
+        this.reviewed = false;
+        this.wentBack = false;
+        this.questionPosition = this._findNextQuestion(survey, 0);
+        this.run = run;
+        this.lastSurveyResumed = false;
+        if (resumed) {
+          this._restoreRun(survey, resumed);
+        }
+        return Scheduler.Event.NEXT;
+      });
       scheduler.add(() => { 
-        this.survey_set = survey.set; 
-        this.survey_run_status = SURVEY_CONTINUING;
-        this.question.text = survey.instructions || '';
+        // A survey resumed part way through carries on without instructions
+        if (resumed) {
+          return Scheduler.Event.NEXT;
+        }
+        this._applyTheme(resolveTheme(this.theme, survey.theme));
+        this.question.text = this._pipe(survey.instructions || '');
         return this._SurveyDisplayInstructions() });
-      survey.questions.forEach((question) => {
+      // The survey's time limit starts once the instructions are read, and a
+      // resumed survey carries on with the time it had used. PsychoJS clocks
+      // read -newTime just after reset(newTime).
+      scheduler.add(() => {
+        this.surveyClock.reset(resumed ? -(resumed.surveyTime || 0) : 0);
+        return Scheduler.Event.NEXT;
+      });
+      // The survey stops itself once there are no more questions to ask
+      for (let i = 0; i < MAX_QUESTION_STEPS; i++) {
         // Runs a survey question iteration
-        scheduler.add(() => this._SurveyQuestionBegin(question));
+        scheduler.add(() => this._SurveyQuestionBegin(survey, scheduler));
         scheduler.add(() => this._SurveyQuestionLoop());
-        scheduler.add(() => this._SurveyQuestionEnd());
-        // Finishes a survey question iteration
-        scheduler.add(() => {
-          if (trials.finished) {
-            if (Object.keys(this.psychoJS.experiment._thisEntry).length > 0) {
-              this.psychoJS.experiment.nextEntry();
-            }
-            scheduler.stop();
-          } else {
-            this.psychoJS.experiment.nextEntry();
-          }
-          return Scheduler.Event.NEXT;
-        });
-      });
+        scheduler.add(() => this._SurveyQuestionEnd(survey));
+      }
       return Scheduler.Event.NEXT;
     }
   }
 
   _buildLoopStimuli(question) {
-    // Initialize the question being asked
-    this.question.text = question.question;
-    this.question.pos = [0, 0.4];
+    // Initialize the question being asked, a specify step taking the theme
+    // of its question along with its own
+    this._applyTheme(resolveTheme(this.questionTheme, question.theme));
+    this.question.text = this._pipe(question.question);
     this.currentInput = this.inputTypes[question.input.type];
+    // In case of a grid item, show it with the grid's prompt. Tables are
+    // built once for the whole grid, with their text piped then.
+    if (question.gridItem && question.gridItem.layout === 'table') {
+      this.question.text = this._pipe(question.gridItem.prompt);
+      this.currentInput = this.inputTypes["GRID"];
+      this.currentInput.build(this._pipeInput(question.input), question.gridItem,
+        question.gridItem.items.map((el) => this._pipe(el)));
+      return;
+    } else if (question.gridItem && question.gridItem.prompt) {
+      this.question.text = this._pipe(question.gridItem.prompt + '\n\n' + question.question);
+    }
+    question = Object.assign({}, question, { input: this._pipeInput(question.input) });
     // In case of a discrete input
     if (question.input.type.includes("DISCRETE")) {
       this.currentInput.build(
@@ -200,10 +578,18 @@ export class SurveyQuestionsModule {
         question.input.skips || []);
     // In case of a continuous input
     } else if (question.input.type.includes("CONTINUOUS")) {
+      this.currentInput.build(question.input);
+    // In case of a slider input
+    } else if (question.input.type.includes("SLIDER")) {
+      // A slider in a specify step takes its question's random start
+      this.currentInput.build(question.input, itemRandom(this.survey.seed,
+        question.index !== undefined ? question.index : this.currentData.question_index));
+    // In case of a multi-select input
+    } else if (question.input.type.includes("MULTI")) {
       this.currentInput.build(
-        question.input.keyList,
-        question.input.maxLength,
-        question.input.specify || []);
+        question.input.inputs,
+        question.input.specify || [],
+        question.input);
     }
   }
 
@@ -214,10 +600,11 @@ export class SurveyQuestionsModule {
     if (this.question.status == PsychoJS.Status.NOT_STARTED) {
       this.question.pos = [0, 0];
       this.question.setAutoDraw(true);
+      this.psychoJS.eventManager.clearEvents();
     }
     let continueOn = false;
     let keys = this.psychoJS.eventManager.getKeys({keyList: ["enter", "return"]});
-    if (keys.length > 0) {
+    if (keys.length > 0 || this._mouseClicked()) {
       continueOn = true;
       this.question.text = '';
       this.question.setAutoDraw(false);
@@ -227,34 +614,68 @@ export class SurveyQuestionsModule {
     return Scheduler.Event.FLIP_REPEAT;
   }
 
-  _SurveyQuestionBegin(question) {
-    if (this.survey_run_status == SURVEY_SKIPPING) {
-      if (this.question.index == this.skipIndex) {
-        this.skipIndex = "none";
-        this.survey_run_status = SURVEY_CONTINUING;
-      } else {
+  _SurveyQuestionBegin(survey, scheduler) {
+    // Once the survey's time is up, no more questions are asked
+    if (this._surveyTimeUp()) {
+      this.questionPosition = survey.questions.length;
+      this.reviewed = true;
+    }
+    // Stop the survey once there are no more questions to ask, after the
+    // participant has reviewed their answers if needed
+    if (this.questionPosition >= survey.questions.length) {
+      if (survey.review && !this.reviewed && this.path.length > 0) {
+        this._buildReview(survey);
         return Scheduler.Event.NEXT;
       }
+      this._finishSurvey(survey);
+      scheduler.stop();
+      return Scheduler.Event.NEXT;
     }
+    let question = survey.questions[this.questionPosition];
 
     // Initialize input-taking things
     this.clock.reset();
+    this.questionClock.reset();
+    this.idleClock.reset();
     this.psychoJS.eventManager.clearEvents();
+    this.mouseWasPressed = true;
 
     // Data being recorded for this question
     this.currentData = {
       survey: this.survey_set,
       question_index: question.index,
-      question: question.question,
+      question: this._pipe(question.question),
       question_type: question.input.type,
       choice: null,
       RT: null,
       value: null,
+      modality: null,
       specify: []
     }
+    // Record the order things were presented in if it was randomized
+    if (survey.randomize) {
+      this.currentData.question_order = this.questionPosition + 1;
+    }
+    if (question.input.randomize && question.input.inputs) {
+      this.currentData.option_order = question.input.inputs.map((el) => el.key);
+    }
+    if (survey.randomize || question.input.randomize || question.input.initial === "random") {
+      this.currentData.seed = survey.seed;
+    }
+    if (question.timeLimit || survey.timeLimit) {
+      this.currentData.timedOut = false;
+    }
+    if (survey.idleWarning) {
+      this.currentData.idleWarnings = 0;
+    }
+    if (survey.locale !== undefined) {
+      this.currentData.locale = survey.locale;
+    }
 
-    this.specify = {};
-    this.skipIndex = "none";
+    // Specify steps still to be asked, in order
+    this.specify = [];
+    this.skip = undefined;
+    this.questionTheme = resolveTheme(this.theme, survey.theme, question.theme);
 
     // 0: Haven't drawn question yet
     // 1: Question currently being answered
@@ -263,6 +684,7 @@ export class SurveyQuestionsModule {
 
     // Build the loop stimuli for the given question
     this._buildLoopStimuli(question);
+    this._updateProgress(survey);
 
     return Scheduler.Event.NEXT;
   }
@@ -278,9 +700,27 @@ export class SurveyQuestionsModule {
    * question loop is run which listens for user input.
    */
   _SurveyQuestionLoop() {
-    if (this.survey_run_status == SURVEY_SKIPPING) {
+    let clicked = this._mouseClicked();
+    if (this.reviewing) {
+      return this._SurveyReviewLoop(clicked);
+    }
+    // Leave the question unanswered if the participant goes back
+    if (this._backRequested(clicked)) {
+      this.currentInput.reset();
+      this.question.setAutoDraw(false);
+      this.backButton.setAutoDraw(false);
+      this._hideTimers();
+      this.wentBack = true;
       return Scheduler.Event.NEXT;
     }
+    // Time limits only run while the participant is answering
+    if (TAKING_STAGES.includes(this.trialStage)) {
+      let timeLeft = this._timeLeft();
+      if (timeLeft <= 0) {
+        return this._timeOut();
+      }
+      this._updateTimers(timeLeft);
+    }
 
     let continueRoutine = true;
     switch (this.trialStage) {
@@ -288,30 +728,31 @@ export class SurveyQuestionsModule {
       case 0:
         this.question.setAutoDraw(true);
         this.currentInput.setAutoDraw(true);
-        this.trialStage = this.currentInput.name == "CONTINUOUS" ? 
-          TAKING_CONTINUOUS : TAKING_DISCRETE;
+        this.backButton.setAutoDraw(this._canGoBack());
+        switch (this.currentInput.name) {
+          case "CONTINUOUS":
+            this.trialStage = TAKING_CONTINUOUS;
+            break;
+          case "SLIDER":
+            this.trialStage = TAKING_SLIDER;
+            break;
+          case "MULTI":
+            this.trialStage = TAKING_MULTI;
+            break;
+          default:
+            this.trialStage = TAKING_DISCRETE;
+        }
         break;
       // Waiting for user input on discrete input
       case TAKING_DISCRETE: {
-          let input = this.psychoJS.eventManager.getKeys({keyList: this.currentInput.getKeys()});
-          if (input.length > 0) {
-            let key = input[0].name || input[0];
+          let input = this._getInputKeys(clicked);
+          if (input.keys.length > 0) {
+            let key = input.keys[0];
             let behavior = this.currentInput.optionSelected(key);
-            if (this.currentData.choice == null) {
-              this.currentData.choice = key;
-              this.currentData.RT = this.clock.getTime();
-              this.currentData.value = behavior.value;
-            } else {
-              this.currentData.specify.push({
-                question: this.question.text,
-                choice: key,
-                RT: this.clock.getTime(),
-                value: behavior.value
-              });
-            }
-            this.specify = behavior.specify;
+            this._recordChoice(key, behavior.value, input.modality);
+            this._queueSpecify(behavior.specify);
             if (behavior.skip) {
-              this.skipIndex = behavior.skip.index;
+              this.skip = behavior.skip;
             }
             this.trialStage = DISPLAY_RESPONSE;
             this.clock.reset();
@@ -320,24 +761,23 @@ export class SurveyQuestionsModule {
         break;
       // User answered, taking specification input
       case TAKING_CONTINUOUS: {
-          let input = this.psychoJS.eventManager.getKeys({keyList: this.currentInput.getKeys()});
-          for (const key of input) {
-            let keyName = input[0].name || input[0];
+          if (this.currentInput.syncText()) {
+            this._noteActivity();
+          }
+          let input = this._getInputKeys(clicked);
+          if (this.currentInput.takeSubmit()) {
+            input = { keys: ['return'], modality: 'keyboard' };
+          }
+          for (const keyName of input.keys) {
             if (keyName === 'return' || keyName === 'enter') {
-              let behavior = this.currentInput.optionSelected();
-              if (this.currentData.choice == null) {
-                this.currentData.choice = undefined;
-                this.currentData.RT = this.clock.getTime();
-                this.currentData.value = behavior.value;
-              } else {
-                this.currentData.specify.push({
-                  question: this.question.text,
-                  choice: undefined,
-                  RT: this.clock.getTime(),
-                  value: behavior.value
-                });
+              // Invalid answers keep the participant on the question
+              if (!this.currentInput.validate()) {
+                continue;
               }
-              this.specify = behavior.specify;
+              let behavior = this.currentInput.optionSelected();
+              this._recordChoice(undefined, behavior.value, input.modality,
+                { invalidAttempts: behavior.invalidAttempts });
+              this._queueSpecify(behavior.specify);
               this.trialStage = DISPLAY_RESPONSE;
               this.clock.reset();
               break;
@@ -347,21 +787,59 @@ export class SurveyQuestionsModule {
           }
         }
         break;
+      // Waiting for the user to move the slider and submit
+      case TAKING_SLIDER: {
+          let input = this._getInputKeys(clicked);
+          this.currentInput.drag(this.mouse);
+          for (const keyName of input.keys) {
+            if (keyName === 'return' || keyName === 'enter') {
+              if (this.currentInput.canSubmit()) {
+                let behavior = this.currentInput.optionSelected();
+                this._recordChoice(undefined, behavior.value, input.modality,
+                  { initial: behavior.initial });
+                this.trialStage = DISPLAY_RESPONSE;
+                this.clock.reset();
+                break;
+              }
+            } else {
+              this.currentInput.keyIn(keyName);
+            }
+          }
+        }
+        break;
+      // Waiting for the user to toggle options and confirm
+      case TAKING_MULTI: {
+          let input = this._getInputKeys(clicked);
+          for (const keyName of input.keys) {
+            if (this.currentInput.isConfirmKey(keyName)) {
+              if (this.currentInput.canSubmit()) {
+                let behavior = this.currentInput.optionSelected();
+                this._recordChoice(behavior.choice, behavior.value, input.modality);
+                this._queueSpecify(behavior.specify);
+                this.trialStage = DISPLAY_RESPONSE;
+                this.clock.reset();
+                break;
+              }
+            } else {
+              this.currentInput.keyIn(keyName);
+            }
+          }
+        }
+        break;
       // User answered, show what they answered
       case DISPLAY_RESPONSE:
+        this.backButton.setAutoDraw(false);
+        this._hideTimers();
         if (this.clock.getTime() >= this.linger) {
           this.currentInput.reset();
           // If no more specifies, the switch is done
-          if (!this.specify) {
-            // Check if skip was set
-            if (this.skipIndex != "none") {
-              this.survey_run_status = SURVEY_BEGIN_SKIP;
-            }
+          if (this.specify.length == 0) {
             this.trialStage = -1;
           // Otherwise, reset the loop to the beginning
           } else {
-            this._buildLoopStimuli(this.specify);
+            this._buildLoopStimuli(this.specify.shift());
             this.psychoJS.eventManager.clearEvents();
+            this.mouseWasPressed = true;
             this.trialStage = 0;
           }
         }
@@ -380,136 +858,825 @@ export class SurveyQuestionsModule {
     }
   }
 
+  /**
+   * Returns the keys pressed for the current input this frame, and whether
+   * they came from the keyboard or the mouse. Clicking or tapping on part of
+   * an input counts as pressing the key it stands for.
+   */
+  _getInputKeys(clicked) {
+    let keys = this.psychoJS.eventManager.getKeys({keyList: this.currentInput.getKeys()});
+    if (keys.length > 0 || clicked) {
+      this._noteActivity();
+    }
+    if (keys.length > 0) {
+      return { keys: keys.map((el) => el.name || el), modality: 'keyboard' };
+    }
+    this.currentInput.hover(this.mouse);
+    let key = clicked ? this.currentInput.keyAt(this.mouse) : undefined;
+    return { keys: key !== undefined ? [key] : [], modality: 'mouse' };
+  }
+
+  /**
+   * Whether the mouse was pressed (or the screen touched) since last frame
+   */
+  _mouseClicked() {
+    let pressed = this.mouse.getPressed()[0] > 0;
+    let clicked = pressed && !this.mouseWasPressed;
+    this.mouseWasPressed = pressed;
+    return clicked;
+  }
+
+  /**
+   * Adds the specify step(s) an answer leads to, before any remaining ones
+   * so that specify steps of specify steps are asked straight after
+   */
+  _queueSpecify(specify) {
+    if (specify) {
+      this.specify = [].concat(specify, this.specify);
+    }
+  }
+
+  /**
+   * Records a choice made on the current input, as the answer to the question
+   * if it has not been answered yet or otherwise as a specify answer. Inputs
+   * which record more than a value can pass the other fields in extra.
+   */
+  _recordChoice(choice, value, modality, extra={}) {
+    if (this.currentData.RT == null) {
+      this.currentData.choice = choice;
+      this.currentData.RT = this.clock.getTime();
+      this.currentData.value = value;
+      this.currentData.modality = modality;
+      Object.assign(this.currentData, extra);
+    } else {
+      this.currentData.specify.push(Object.assign({
+        question: this.question.text,
+        choice: choice,
+        RT: this.clock.getTime(),
+        value: value,
+        modality: modality
+      }, extra));
+    }
+  }
+
   /**
    * Saves the survey question response and moves onto next question
    */
-  _SurveyQuestionEnd() {
-    if (this.survey_run_status == SURVEY_SKIPPING) {
+  _SurveyQuestionEnd(survey) {
+    // The question was hidden, and is shown afresh by the next question or
+    // the next survey's instructions
+    this.question.status = PsychoJS.Status.NOT_STARTED;
+    // Nothing is answered when reviewing or going back
+    if (this.reviewing) {
+      this.reviewing = false;
+      return Scheduler.Event.NEXT;
+    }
+    if (this.wentBack) {
+      this.wentBack = false;
+      this.questionPosition = this._previousQuestion();
+      this._saveProgress();
       return Scheduler.Event.NEXT;
-    } else if (this.survey_run_status == SURVEY_BEGIN_SKIP) {
-      this.survey_run_status = SURVEY_SKIPPING;
     }
 
-    // If there is a PsiTurk instance, we save the question as unstructured data
-    if (this.psiTurk) {
-      this.psiTurk.recordUnstructuredData(
-        this.survey_set + '_' + this.currentData.question_index, 
-        this.currentData);
+    let position = this.questionPosition;
+    let deferred = this._defersSaving(survey);
+    if (deferred) {
+      let previous = this.answers[position];
+      this.currentData.edits = previous ? previous.data.edits + 1 : 0;
     } else {
-      this.psychoJS.experiment.addData(
-        this.survey_set + '_' + this.currentData.question_index,  
-        this.currentData);
+      this._saveResponse(this.currentData);
+    }
+
+    // Answering a question again drops the path taken after it
+    if (this.path.includes(position)) {
+      this.path = this.path.slice(0, this.path.indexOf(position));
+      this._rebuildResponses(survey);
     }
+    this.answers[position] = { data: this.currentData, skip: this.skip };
+    this._addToPath(survey, position);
     this.currentData = {}
+
+    // Work out where to go from here, passing over questions on the new path
+    // which were answered before going back
+    let next = this._nextOnPath(survey, position);
+    while (deferred && next < survey.questions.length && this.answers[next]) {
+      this._addToPath(survey, next);
+      next = this._nextOnPath(survey, next);
+    }
+    this.questionPosition = next;
+    this._saveProgress();
     return Scheduler.Event.NEXT;
   }
-}
-
-/* -------------------------------------------------------------------------- */
-/*                                Input Classes                               */
-/* -------------------------------------------------------------------------- */
-
-// Inputs require the functions:
-//  - getKeys
-//  - build
-//  - reset
-//  - optionSelected
-//  - setAutoDraw
 
-/**
- * Handles discrete questions 
- */
-class DiscreteInput {
+  /**
+   * Saves a response to a question
+   */
+  _saveResponse(data) {
+    this._saveRecord(this.survey_set + '_' + data.question_index, data);
+  }
 
-  /* Inputs objects contains array of objects with three things:
-    {
-      key: The key to press to select this option
-      value: The value displayed for this option
-      label?: A label which is displayed next to the option
-    } 
-    Options must have a bunch of options:
-    {
-      showKeyAndValue: Render the key to press next to the value '(0) Yes'
-      horizontalSpacing: How far apart to space options on the x
-      verticalSpacing: How far apart to space options on the y
-      initialPos: The initial central point for the questions
-      height: The height of the texts
-      unit: The unit of the inputs
-      unactivatedColor: The resting color of the inputs
-      activatedColor: The activated color of the inputs
-      behavior: "highlight" to only highlight selected option, still show others
-                "isolate" to only draw selected option, hids all others
+  /**
+   * Saves a record to every data sink
+   */
+  _saveRecord(name, data) {
+    recordTo(this.sinks, name, data);
+    if (this.resumeKey !== undefined) {
+      this.savedRecords.push({ name: name, data: data });
+      saveRecords(this.resumeKey, this.savedRecords);
     }
-    */
-  constructor(psychoJS, options) {
-    this.psychoJS = psychoJS;
-    this.options = options;
-    this.name = "DISCRETE";
   }
 
-  // Returns the list of keys 
-  getKeys() { 
-    return Object.keys(this.stimuli); 
+  /**
+   * Saves the final answers if they were held back until the survey finished,
+   * then the survey's scores if it has scoring
+   */
+  _finishSurvey(survey) {
+    if (this._defersSaving(survey)) {
+      this.path.forEach((position) => this._saveResponse(this.answers[position].data));
+    }
+    if (survey.scoring) {
+      let result = scoreSurvey(survey,
+        (question) => this._lookupResponse({ question: question }));
+      this.scores[survey.set] = result.scores;
+      this._saveRecord(this.survey_set + '_scores', {
+        survey: this.survey_set,
+        scores: result.scores,
+        answered: result.answered
+      });
+    }
+    this._hideProgress();
+    if (survey.countsProgress) {
+      this.answeredBefore += this.path.length;
+    }
+    this.runs[this.run] = {
+      set: survey.set,
+      responses: this.responses[survey.set],
+      scores: this.scores[survey.set],
+      answered: this.path.length
+    };
+    this.run = undefined;
+    this._saveProgress();
   }
 
-  // Builds all the input stimuli
-  // specify signifies which input(s) to map to a text input box for more info
-  // upon selection
-  build(inputs, specify=[], skips=[]) {
-    this.stimuli = {};
-    this.specify = specify;
-    this.skips = skips;
-    let currentPos = [
-      this.options.initialPos[0] - (this.options.horizontalSpacing * (1 + (Object.keys(inputs).length - 1) / 2)), 
-      this.options.initialPos[1] + (this.options.verticalSpacing * (1 + (Object.keys(inputs).length - 1) / 2))];
-    inputs.map((el) => {
-      currentPos = [
-        currentPos[0] + this.options.horizontalSpacing, 
-        currentPos[1] - (this.options.verticalSpacing * (1 + (el.additionalLines || 0) * 0.2))];
+  /* ------------------------------ Navigation ----------------------------- */
 
-      this.stimuli[el.key] = {
-        key: el.key,
-        value: el.value,
-        stim: new visual.TextStim({
-          win: this.psychoJS.window,
-          text: this.options.showKeyAndValue ? '(' + el.key + ') ' + el.value : el.value,
-          pos: currentPos,
-          wrapWidth: this.options.verticalSpacing > 0 ? 2 : undefined,
-          width: this.options.verticalSpacing > 0 ? 2 : undefined,
-          height: this.options.height,
-          units: this.options.units,
-          color: this.options.unactivatedColor
-        })
-      }
-    })
+  /**
+   * Whether answers are held back until the end, as they can still change
+   */
+  _defersSaving(survey) {
+    return Boolean(survey.allowBack || survey.review);
   }
 
-  // Changes all the color back to unactivated and stops drawing
-  reset() {
-    Object.values(this.stimuli).forEach((el) => {
-      el.stim.setAutoDraw(false);
-      el.stim.color = this.options.unactivatedColor;
-    });
+  /**
+   * Returns the position of the question before the current one on the path
+   * taken, undefined if there is none
+   */
+  _previousQuestion() {
+    let index = this.path.indexOf(this.questionPosition);
+    return index == -1 ? this.path[this.path.length - 1] : this.path[index - 1];
   }
 
-  // Makes all the inputs draw / not draw
-  setAutoDraw(autoDraw) {
-    Object.values(this.stimuli).forEach((el) => {
-      el.stim.setAutoDraw(autoDraw);
-      if (el.label) {
-        el.label.setAutoDraw(autoDraw);
-      }
-    });
+  _canGoBack() {
+    return Boolean(this.survey.allowBack) && this._previousQuestion() !== undefined;
   }
 
-  // Selects an option
-  // If the returned 'specify' is not undefined, move on to a specifiication textinput
-  optionSelected(key) {
-    if (this.options.behavior === "isolate") {
-      this.setAutoDraw(false);
-      this.stimuli[key].stim.setAutoDraw(true);
+  /**
+   * Whether the participant asked to go back, by the back key or button. The
+   * back key does nothing if it is also a key of the current input, or while
+   * typing a TEXT answer.
+   */
+  _backRequested(clicked) {
+    if (!TAKING_STAGES.includes(this.trialStage) || !this._canGoBack()) {
+      return false;
     }
-    this.stimuli[key].stim.color = this.options.activatedColor;
+    if (clicked && this.backButton.contains(this.mouse)) {
+      return true;
+    }
+    let backKey = this.survey.backKey || 'b';
+    return !this.currentInput.freeText && !this.currentInput.getKeys().includes(backKey) &&
+      this.psychoJS.eventManager.getKeys({keyList: [backKey]}).length > 0;
+  }
+
+  /**
+   * Shows the list of answers given so far for the participant to review
+   */
+  _buildReview(survey) {
+    this.reviewing = true;
+    this._hideProgress();
+    this.psychoJS.eventManager.clearEvents();
+    this._applyTheme(resolveTheme(this.theme, survey.theme));
+    this.question.text = survey.reviewText || 'Please review your answers. ' +
+      'Choose an answer to change it, or Finish when you are done.';
+    this.question.setAutoDraw(true);
+    this.review.build(this.path.map((position) => {
+      let data = this.answers[position].data;
+      return data.question + ' \u2014 ' + _formatAnswer(data);
+    }));
+    this.review.setAutoDraw(true);
+  }
+
+  /**
+   * Waits for the participant to choose an answer to change, or to finish
+   */
+  _SurveyReviewLoop(clicked) {
+    if (this._surveyTimeUp()) {
+      this.review.setAutoDraw(false);
+      this.question.setAutoDraw(false);
+      this.reviewed = true;
+      return Scheduler.Event.NEXT;
+    }
+    let row = undefined;
+    let keys = this.psychoJS.eventManager.getKeys({keyList: this.review.getKeys()});
+    for (const key of keys) {
+      let keyName = key.name || key;
+      if (keyName === 'return' || keyName === 'enter') {
+        row = this.review.cursor;
+      } else {
+        this.review.keyIn(keyName);
+      }
+    }
+    if (clicked && this.review.rowAt(this.mouse) !== undefined) {
+      row = this.review.rowAt(this.mouse);
+    }
+    if (row === undefined) {
+      return Scheduler.Event.FLIP_REPEAT;
+    }
+
+    this.review.setAutoDraw(false);
+    this.question.setAutoDraw(false);
+    // The last row is the finish button
+    if (row < this.path.length) {
+      this.questionPosition = this.path[row];
+    } else {
+      this.reviewed = true;
+    }
+    return Scheduler.Event.NEXT;
+  }
+
+  /* -------------------------------- Piping ------------------------------- */
+
+  /**
+   * Fills in the placeholders in survey text, see PJSMod_Piping.js
+   */
+  _pipe(text) {
+    return fillTemplate(text, (reference) => this._resolvePlaceholder(reference));
+  }
+
+  /**
+   * Returns a copy of an input with the text shown for its options piped
+   */
+  _pipeInput(input) {
+    let piped = Object.assign({}, input);
+    if (Array.isArray(input.inputs)) {
+      piped.inputs = input.inputs.map((el) => Object.assign({}, el, {
+        value: this._pipe(el.value),
+        label: this._pipe(el.label)
+      }));
+    }
+    if (Array.isArray(input.labels)) {
+      piped.labels = input.labels.map((el) => this._pipe(el));
+    }
+    if (Array.isArray(input.ticks)) {
+      piped.ticks = input.ticks.map((el) => Object.assign({}, el, { label: this._pipe(el.label) }));
+    }
+    return piped;
+  }
+
+  /**
+   * Returns the value a placeholder refers to, undefined if there is none
+   */
+  _resolvePlaceholder(reference) {
+    switch (reference.source) {
+      case 'expInfo':
+        return (this.expInfo || {})[reference.name];
+      case 'computed': {
+        let compute = this.computed[reference.name];
+        if (!(compute instanceof Function)) {
+          return compute;
+        }
+        return compute(
+          (question, set) => this._lookupResponse({ question: question, set: set }),
+          this.expInfo);
+      }
+      default: {
+        let response = this._lookupResponse(reference);
+        return response ? response[reference.field] : undefined;
+      }
+    }
+  }
+
+  /* ----------------------------- Time limits ----------------------------- */
+
+  /**
+   * Returns the seconds left to answer the current question in, the lower of
+   * its own time limit and the survey's, Infinity if neither has one
+   */
+  _timeLeft() {
+    let question = this.survey.questions[this.questionPosition];
+    let limits = [];
+    if (question.timeLimit) {
+      limits.push(question.timeLimit - this.questionClock.getTime());
+    }
+    if (this.survey.timeLimit) {
+      limits.push(this.survey.timeLimit - this.surveyClock.getTime());
+    }
+    return Math.min(Infinity, ...limits);
+  }
+
+  _surveyTimeUp() {
+    return Boolean(this.survey.timeLimit) &&
+      this.surveyClock.getTime() >= this.survey.timeLimit;
+  }
+
+  /**
+   * Moves on from the current question without an answer, or without its
+   * remaining specify steps if it was answered
+   */
+  _timeOut() {
+    this.currentData.timedOut = true;
+    this.specify = [];
+    this.currentInput.reset();
+    this.question.setAutoDraw(false);
+    this.backButton.setAutoDraw(false);
+    this._hideTimers();
+    this.trialStage = -1;
+    return Scheduler.Event.NEXT;
+  }
+
+  /**
+   * Updates the countdown, and shows the idle warning once the participant
+   * has not pressed anything for long enough
+   */
+  _updateTimers(timeLeft) {
+    let question = this.survey.questions[this.questionPosition];
+    if (timeLeft < Infinity && (question.showCountdown || this.survey.showCountdown)) {
+      this.countdown.text = 'Time left: ' + Math.ceil(timeLeft);
+      this.countdown.setAutoDraw(true);
+    }
+    let idleWarning = this.survey.idleWarning;
+    if (idleWarning && this.idleClock.getTime() >= idleWarning &&
+        this.idleWarning.status !== PsychoJS.Status.STARTED) {
+      this.idleWarning.text = this.survey.idleText ||
+        'Are you still there? Please answer the question to continue.';
+      this.idleWarning.setAutoDraw(true);
+      this.currentData.idleWarnings += 1;
+    }
+  }
+
+  _noteActivity() {
+    this.idleClock.reset();
+    this.idleWarning.setAutoDraw(false);
+  }
+
+  _hideTimers() {
+    this.countdown.setAutoDraw(false);
+    this.idleWarning.setAutoDraw(false);
+  }
+
+  /* -------------------------------- Resume ------------------------------- */
+
+  /**
+   * Saves the surveys finished so far and the answers to the current one,
+   * if resuming is enabled
+   */
+  _saveProgress() {
+    if (this.resumeKey === undefined) {
+      return;
+    }
+    let current = this.run === undefined ? undefined : {
+      run: this.run,
+      set: this.survey.set,
+      order: this.survey.questions.map((question) => question.index),
+      path: this.path,
+      answers: this.answers,
+      questionPosition: this.questionPosition,
+      reviewed: this.reviewed,
+      surveyTime: this.surveyClock.getTime()
+    };
+    saveProgress(this.resumeKey, { runs: this.runs, current: current });
+  }
+
+  /**
+   * Returns the saved progress of a survey about to be asked, marked
+   * finished if it was, or undefined if there is none. Progress from a
+   * different order of surveys or questions is dropped from there on.
+   */
+  _resumedRun(run, survey, order) {
+    if (this.savedProgress === undefined) {
+      return undefined;
+    }
+    let finished = this.savedProgress.runs[run];
+    let current = this.savedProgress.current;
+    if (finished && finished.set === survey.set) {
+      return Object.assign({ finished: true }, finished);
+    }
+    if (!finished && current && current.run === run && current.set === survey.set &&
+        current.order.join() === order.join()) {
+      return current;
+    }
+    if (finished || (current && current.run === run)) {
+      console.warn('Survey ' + survey.set + ': saved progress does not match the surveys, starting again');
+      this.savedProgress = { runs: this.savedProgress.runs.slice(0, run), current: undefined };
+    }
+    return undefined;
+  }
+
+  /**
+   * Takes the responses and scores of a survey finished before a reload
+   */
+  _restoreFinishedRun(run, resumed, survey) {
+    this.lastSurveyResumed = true;
+    this.responses[resumed.set] = resumed.responses;
+    if (resumed.scores !== undefined) {
+      this.scores[resumed.set] = resumed.scores;
+    }
+    if (survey.countsProgress) {
+      this.answeredBefore += resumed.answered;
+    }
+    this.runs[run] = {
+      set: resumed.set,
+      responses: resumed.responses,
+      scores: resumed.scores,
+      answered: resumed.answered
+    };
+  }
+
+  /**
+   * Takes the answers given to a survey before a reload, carrying on from
+   * the question it was on
+   */
+  _restoreRun(survey, resumed) {
+    this.path = resumed.path;
+    this.answers = resumed.answers;
+    this.questionPosition = resumed.questionPosition;
+    this.reviewed = resumed.reviewed;
+    this._rebuildResponses(survey);
+  }
+
+  /* ------------------------------- Progress ------------------------------ */
+
+  /**
+   * Whether the survey added at a position is counted by the progress
+   * indicator
+   */
+  _countsProgress(scheduled, survey) {
+    return this.scheduledSurveys[scheduled].counted && survey.showProgress !== false;
+  }
+
+  /**
+   * Shows the number of the question being asked out of the questions which
+   * may be asked, across every survey counted
+   */
+  _updateProgress(survey) {
+    let indicator = this.indicator;
+    if (indicator === undefined || !survey.countsProgress) {
+      this._hideProgress();
+      return;
+    }
+    // Going back to a question shows its number again
+    let onPath = this.path.indexOf(this.questionPosition);
+    let current = this.answeredBefore + (onPath == -1 ? this.path.length : onPath) + 1;
+    let remaining = survey.questions.filter((question, position) =>
+      position > this.questionPosition && !this.path.includes(position) &&
+      this._mayBeAsked(question, survey.set)).length;
+    let later = this.scheduledSurveys.slice(survey.scheduled + 1).map((el, i) => {
+      let counted = this._countedQuestions(survey.scheduled + 1 + i);
+      return counted.always +
+        counted.conditional.filter((question) => this._mayBeAsked(question, counted.set)).length;
+    });
+    let total = this.answeredBefore + this.path.length + (onPath == -1 ? 1 : 0) + remaining +
+      later.reduce((sum, el) => sum + el, 0);
+
+    let theme = resolveTheme(this.theme, survey.theme);
+    let color = new util.Color(indicator.color || theme.color);
+    let fillColor = new util.Color(indicator.fillColor || theme.highlightColor);
+    let [x, y] = indicator.pos;
+    let barY = indicator.style === 'bar' ? y : y - indicator.height;
+    this.progressText.text = indicator.text.replace('{current}', current).replace('{total}', total);
+    this.progressText.pos = indicator.pos;
+    this.progressText.height = indicator.height;
+    this.progressText.font = theme.font;
+    this.progressText.color = color;
+    this.progressBar.setPos([x, barY]);
+    this.progressBar.setLineColor(color);
+    // The bar fills up with the questions answered, from the left
+    let fillWidth = indicator.width * (current - 1) / total;
+    this.progressFill.setWidth(fillWidth);
+    this.progressFill.setPos([x - indicator.width / 2 + fillWidth / 2, barY]);
+    this.progressFill.setLineColor(fillColor);
+    this.progressFill.setFillColor(fillColor);
+
+    this.progressText.setAutoDraw(indicator.style !== 'bar');
+    this.progressBar.setAutoDraw(indicator.style !== 'text');
+    this.progressFill.setAutoDraw(indicator.style !== 'text' && fillWidth > 0);
+  }
+
+  /**
+   * Returns the questions the survey added at a position has for the
+   * progress indicator, worked out the first time it is needed: the number
+   * always asked, and those with conditions which depend on the answers
+   */
+  _countedQuestions(scheduled) {
+    let entry = this.scheduledSurveys[scheduled];
+    if (entry.questions === undefined) {
+      let resource = this.psychoJS._serverManager.getResource(entry.name);
+      let questions = this._countsProgress(scheduled, resource) ? expandGrids(resource.questions) : [];
+      let conditional = questions.filter((question) =>
+        question.showIf !== undefined || question.skipIf !== undefined);
+      entry.questions = {
+        set: resource.set,
+        always: questions.length - conditional.length,
+        conditional: conditional
+      };
+    }
+    return entry.questions;
+  }
+
+  _hideProgress() {
+    this.progressText.setAutoDraw(false);
+    this.progressBar.setAutoDraw(false);
+    this.progressFill.setAutoDraw(false);
+  }
+
+  /**
+   * Whether a question may yet be asked, which it may unless its conditions
+   * rule it out on the answers given so far
+   */
+  _mayBeAsked(question, set) {
+    let lookup = (ref) => this._lookupResponse(Object.assign({ set: set }, ref));
+    let references = [question.showIf, question.skipIf].flatMap((el) => conditionReferences(el));
+    return references.some((ref) => lookup(ref) === undefined) || this._shouldAsk(question, lookup);
+  }
+
+  /* -------------------------------- Theme -------------------------------- */
+
+  /**
+   * Styles the question, the other survey text and every input with a
+   * theme, see PJSMod_Theme.js
+   */
+  _applyTheme(theme) {
+    let color = new util.Color(theme.color);
+    this.question.color = color;
+    this.question.font = theme.font;
+    this.question.height = theme.questionHeight;
+    this.question.wrapWidth = theme.questionWrapWidth;
+    this.question.pos = theme.questionPos;
+    [this.backButton, this.countdown].forEach((stim) => {
+      stim.color = color;
+      stim.font = theme.font;
+    });
+    this.idleWarning.color = new util.Color(theme.errorColor);
+    this.idleWarning.font = theme.font;
+    this.review.setTheme(theme);
+    Object.values(this.inputTypes).forEach((input) => input.setTheme(theme));
+  }
+
+  /* ------------------------------ Branching ------------------------------ */
+
+  /**
+   * Adds an answered question to the path, so later conditions can use it
+   */
+  _addToPath(survey, position) {
+    this.path.push(position);
+    this._recordResponse(survey.questions[position], this.answers[position].data);
+  }
+
+  /**
+   * Resets the responses conditions use to those on the path taken
+   */
+  _rebuildResponses(survey) {
+    this.responses[this.survey_set] = {};
+    this.path.forEach((position) => this._recordResponse(
+      survey.questions[position], this.answers[position].data));
+  }
+
+  /**
+   * Returns the position of the question to ask after the given answered
+   * one, a skip on the selected option taking precedence over its jumps
+   */
+  _nextOnPath(survey, position) {
+    let question = survey.questions[position];
+    let jump = this.answers[position].skip || (question.jumps || []).find(
+      (el) => evaluateCondition(el.if, (ref) => this._lookupResponse(ref)));
+    return this._findNextQuestion(survey, this._jumpTarget(survey, position, jump));
+  }
+
+  /**
+   * Stores a response so that later conditions can refer to it
+   */
+  _recordResponse(question, data) {
+    let responses = this.responses[this.survey_set];
+    responses[question.index] = data;
+    if (question.name !== undefined) {
+      responses[question.name] = data;
+    }
+  }
+
+  /**
+   * Finds the response to the question referred to by a condition, or the
+   * score it refers to as if it were a response
+   */
+  _lookupResponse(reference) {
+    let set = reference.set || this.survey_set;
+    if (reference.score !== undefined) {
+      let scores = this.scores[set];
+      return scores ? { value: scores[reference.score] } : undefined;
+    }
+    let responses = this.responses[set];
+    return responses ? responses[reference.question] : undefined;
+  }
+
+  /**
+   * Whether a question's showIf / skipIf conditions allow it to be asked
+   */
+  _shouldAsk(question, lookup=(ref) => this._lookupResponse(ref)) {
+    if (question.showIf !== undefined && !evaluateCondition(question.showIf, lookup)) {
+      return false;
+    }
+    return question.skipIf === undefined || !evaluateCondition(question.skipIf, lookup);
+  }
+
+  /**
+   * Returns the position of the first question at or after the given
+   * position which should be asked, or the number of questions if none
+   */
+  _findNextQuestion(survey, position) {
+    while (position < survey.questions.length && !this._shouldAsk(survey.questions[position])) {
+      position += 1;
+    }
+    return position;
+  }
+
+  /**
+   * Returns the position a jump or skip from the question at the given
+   * position leads to, which is the next question if there is no jump. Jumps
+   * are by name, or by index for older surveys. A target which is missing
+   * or not a later question, which the validator reports, leads to the next
+   * question instead.
+   */
+  _jumpTarget(survey, position, jump) {
+    let next = position + 1;
+    if (!jump) {
+      return next;
+    }
+    let target = survey.questions.findIndex((el) => jump.to !== undefined ?
+      el.name == jump.to : el.index == jump.index);
+    return target < next ? next : target;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Input Classes                               */
+/* -------------------------------------------------------------------------- */
+
+// Inputs require the functions:
+//  - getKeys
+//  - build
+//  - reset
+//  - optionSelected
+//  - setAutoDraw
+//  - hover, to highlight what is under the mouse
+//  - keyAt, the key that clicking at the mouse position stands for
+
+/**
+ * Handles discrete questions 
+ */
+class DiscreteInput {
+
+  /* Inputs objects contains array of objects with three things:
+    {
+      key: The key to press to select this option
+      value: The value displayed for this option
+      label?: A label which is displayed next to the option
+    } 
+    Options must have a bunch of options:
+    {
+      showKeyAndValue: Render the key to press next to the value '(0) Yes'
+      horizontalSpacing: How far apart to space options on the x
+      verticalSpacing: How far apart to space options on the y
+      columns: If set, options are laid out in a grid of this many columns,
+               spaced as above, rather than in a line
+      wrapWidth: The width option texts wrap at
+      initialPos: The initial central point for the questions
+      height: The height of the texts
+      font: The font of the texts
+      unit: The unit of the inputs
+      unactivatedColor: The resting color of the inputs
+      activatedColor: The activated color of the inputs
+      behavior: "highlight" to only highlight selected option, still show others
+                "isolate" to only draw selected option, hids all others
+    }
+    */
+  constructor(psychoJS, options) {
+    this.psychoJS = psychoJS;
+    this.options = options;
+    this.name = "DISCRETE";
+  }
+
+  // Returns the list of keys 
+  getKeys() { 
+    return Object.keys(this.stimuli); 
+  }
+
+  // Builds all the input stimuli
+  // specify signifies which input(s) to map to a text input box for more info
+  // upon selection
+  build(inputs, specify=[], skips=[]) {
+    this.stimuli = {};
+    this.specify = specify;
+    this.skips = skips;
+    this.hovered = undefined;
+    let positions = this._positions(inputs);
+    inputs.map((el, i) => {
+      this.stimuli[el.key] = {
+        key: el.key,
+        value: el.value,
+        stim: new visual.TextStim({
+          win: this.psychoJS.window,
+          text: this.options.showKeyAndValue ? '(' + el.key + ') ' + el.value : el.value,
+          pos: positions[i],
+          wrapWidth: this.options.wrapWidth,
+          width: this.options.wrapWidth,
+          height: this.options.height,
+          font: this.options.font,
+          units: this.options.units,
+          color: this.options.unactivatedColor
+        })
+      }
+    })
+  }
+
+  // Returns the position of each option, in a line or in a grid
+  _positions(inputs) {
+    if (this.options.columns > 1) {
+      let columns = this.options.columns;
+      let rows = Math.ceil(inputs.length / columns);
+      return inputs.map((el, i) => [
+        this.options.initialPos[0] + this.options.horizontalSpacing * (i % columns - (columns - 1) / 2),
+        this.options.initialPos[1] + this.options.verticalSpacing * ((rows - 1) / 2 - Math.floor(i / columns))]);
+    }
+    let currentPos = [
+      this.options.initialPos[0] - (this.options.horizontalSpacing * (1 + (Object.keys(inputs).length - 1) / 2)), 
+      this.options.initialPos[1] + (this.options.verticalSpacing * (1 + (Object.keys(inputs).length - 1) / 2))];
+    return inputs.map((el) => {
+      currentPos = [
+        currentPos[0] + this.options.horizontalSpacing, 
+        currentPos[1] - (this.options.verticalSpacing * (1 + (el.additionalLines || 0) * 0.2))];
+      return currentPos;
+    });
+  }
+
+  // Changes all the color back to unactivated and stops drawing
+  reset() {
+    Object.values(this.stimuli).forEach((el) => {
+      el.stim.setAutoDraw(false);
+      el.stim.color = this.options.unactivatedColor;
+    });
+  }
+
+  // Makes all the inputs draw / not draw
+  setAutoDraw(autoDraw) {
+    Object.values(this.stimuli).forEach((el) => {
+      el.stim.setAutoDraw(autoDraw);
+      if (el.label) {
+        el.label.setAutoDraw(autoDraw);
+      }
+    });
+  }
+
+  // Highlights the option under the mouse
+  hover(mouse) {
+    let key = this.keyAt(mouse);
+    if (key === this.hovered) {
+      return;
+    }
+    if (this.hovered !== undefined) {
+      this.stimuli[this.hovered].stim.color = this.options.unactivatedColor;
+    }
+    if (key !== undefined) {
+      this.stimuli[key].stim.color = this.options.activatedColor;
+    }
+    this.hovered = key;
+  }
+
+  // Returns the key of the option under the mouse, if any
+  keyAt(mouse) {
+    let option = Object.values(this.stimuli).find((el) => el.stim.contains(mouse));
+    return option ? option.key : undefined;
+  }
+
+  // Selects an option
+  // If the returned 'specify' is not undefined, move on to a specifiication textinput
+  optionSelected(key) {
+    if (this.hovered !== undefined) {
+      this.stimuli[this.hovered].stim.color = this.options.unactivatedColor;
+      this.hovered = undefined;
+    }
+    if (this.options.behavior === "isolate") {
+      this.setAutoDraw(false);
+      this.stimuli[key].stim.setAutoDraw(true);
+    }
+    this.stimuli[key].stim.color = this.options.activatedColor;
     let specifyObject = this.specify.find((el) => el["key"] == key);
     let skipObject = this.skips.find((el) => el["key"] == key);
     return {
@@ -520,11 +1687,310 @@ class DiscreteInput {
   }
 }
 
+/**
+ * Handles multi-select questions, where keys toggle options on and off
+ * until the confirm key is pressed. Laid out like a discrete input.
+ */
+class MultiInput extends DiscreteInput {
+  constructor(psychoJS, options) {
+    super(psychoJS, options);
+    this.name = "MULTI";
+  }
+
+  // Builds the options, settings contains minSelected, maxSelected and confirmKey
+  build(inputs, specify=[], settings={}) {
+    super.build(inputs, specify, []);
+    this.exclusive = inputs.filter((el) => el.exclusive).map((el) => el.key);
+    this.minSelected = settings.minSelected !== undefined ? settings.minSelected : 1;
+    this.maxSelected = settings.maxSelected !== undefined ? settings.maxSelected : inputs.length;
+    this.confirmKey = settings.confirmKey || 'return';
+    this.selected = [];
+    this.hovered = false;
+    // Button to confirm the selection without a keyboard
+    this.button = new visual.Rect({
+      win: this.psychoJS.window,
+      name: 'submitButton',
+      width: this.options.buttonSize[0],
+      height: this.options.buttonSize[1],
+      pos: this.options.buttonPos,
+      units: this.options.units,
+      lineWidth: 2,
+      lineColor: this.options.unactivatedColor,
+      fillColor: undefined
+    });
+    this.buttonText = new visual.TextStim({
+      win: this.psychoJS.window,
+      text: this.options.buttonText,
+      pos: this.options.buttonPos,
+      height: this.options.height,
+      font: this.options.font,
+      units: this.options.units,
+      color: this.options.unactivatedColor
+    });
+    this._setButtonOpacity();
+  }
+
+  getKeys() {
+    let keys = [...super.getKeys(), this.confirmKey];
+    if (this.confirmKey === 'return') {
+      keys.push('enter');
+    }
+    return keys;
+  }
+
+  reset() {
+    super.reset();
+    this.buttonText.color = this.options.unactivatedColor;
+  }
+
+  setAutoDraw(autoDraw) {
+    super.setAutoDraw(autoDraw);
+    this.button.setAutoDraw(autoDraw);
+    this.buttonText.setAutoDraw(autoDraw);
+  }
+
+  // Highlights the confirm button when under the mouse, options are
+  // highlighted only by being selected
+  hover(mouse) {
+    let hovered = this.button.contains(mouse);
+    if (hovered !== this.hovered) {
+      this.buttonText.color = hovered ? this.options.activatedColor : this.options.unactivatedColor;
+      this.hovered = hovered;
+    }
+  }
+
+  // Clicking the button is the same as pressing the confirm key
+  keyAt(mouse) {
+    return this.button.contains(mouse) ? this.confirmKey : super.keyAt(mouse);
+  }
+
+  // Enter and return are the same key on different keyboards
+  isConfirmKey(key) {
+    return key === this.confirmKey || (key === 'enter' && this.confirmKey === 'return');
+  }
+
+  // Toggles an option on or off
+  keyIn(key) {
+    if (this.selected.includes(key)) {
+      this.selected = this.selected.filter((el) => el !== key);
+    } else if (this.exclusive.includes(key)) {
+      this.selected = [key];
+    } else if (this.selected.length < this.maxSelected) {
+      this.selected = this.selected.filter((el) => !this.exclusive.includes(el));
+      this.selected.push(key);
+    }
+    Object.values(this.stimuli).forEach((el) => {
+      el.stim.color = this.selected.includes(el.key) ?
+        this.options.activatedColor : this.options.unactivatedColor;
+    });
+    this._setButtonOpacity();
+  }
+
+  // Whether enough options are selected to confirm
+  canSubmit() {
+    return this.selected.length >= this.minSelected;
+  }
+
+  // On user confirming, returns the selected keys and values in the order
+  // the options are listed, with the specify steps of each
+  optionSelected() {
+    let selected = Object.values(this.stimuli).filter((el) => this.selected.includes(el.key));
+    if (this.options.behavior === "isolate") {
+      this.setAutoDraw(false);
+      selected.forEach((el) => el.stim.setAutoDraw(true));
+    }
+    return {
+      choice: selected.map((el) => el.key),
+      value: selected.map((el) => el.value),
+      specify: selected.map((el) => this.specify.find((spec) => spec["key"] == el.key))
+        .filter((el) => el !== undefined)
+    };
+  }
+
+  _setButtonOpacity() {
+    this.button.opacity = this.canSubmit() ? 1 : 0.3;
+    this.buttonText.opacity = this.canSubmit() ? 1 : 0.3;
+  }
+}
+
+/**
+ * Handles the items of a grid shown as a table, with one row per item and
+ * one column per option of the shared scale. The table stays the same for
+ * every item of a grid, with a cursor showing the row being answered.
+ * Otherwise behaves like a discrete input.
+ */
+class TableInput {
+
+  /* Options must have:
+    {
+      showKeyAndValue: Render the key to press in the column headers '(0) Yes'
+      initialPos: The center of the top of the table
+      width: The width of the table
+      stemWidth: The width of the column of item stems
+      maxRowSpacing: The furthest apart to space rows on the y
+      height: The height of the texts
+      font: The font of the texts
+      units: The unit of the inputs
+      unactivatedColor: The resting color of the inputs
+      activatedColor: The color of the current row and selected options
+    }
+    */
+  constructor(psychoJS, options) {
+    this.psychoJS = psychoJS;
+    this.options = options;
+    this.name = "GRID";
+    this.items = undefined;
+  }
+
+  getKeys() {
+    return this.columns.map((el) => el.key);
+  }
+
+  // Builds the table for a new grid, or moves the cursor to the given item.
+  // The stems shown can differ from the grid's, with their text piped.
+  build(input, gridItem, stems=gridItem.items) {
+    this.specify = input.specify || [];
+    this.skips = input.skips || [];
+    if (gridItem.items !== this.items) {
+      this.items = gridItem.items;
+      this._buildTable(input.inputs, stems);
+    }
+    this.row = gridItem.position;
+    this.hovered = undefined;
+    this.rows.forEach((row, i) => {
+      row.stem.color = i == this.row ? this.options.activatedColor : this.options.unactivatedColor;
+    });
+  }
+
+  // Stops drawing the table, keeping the answers given so far
+  reset() {
+    this.setAutoDraw(false);
+  }
+
+  setAutoDraw(autoDraw) {
+    this.stimuli.forEach((el) => el.setAutoDraw(autoDraw));
+  }
+
+  // Highlights the cell under the mouse in the current row
+  hover(mouse) {
+    let key = this.keyAt(mouse);
+    if (key === this.hovered) {
+      return;
+    }
+    let cells = this.rows[this.row].cells;
+    if (this.hovered !== undefined) {
+      cells[this.hovered].color = this.options.unactivatedColor;
+    }
+    if (key !== undefined) {
+      cells[key].color = this.options.activatedColor;
+    }
+    this.hovered = key;
+  }
+
+  // Returns the key of the cell under the mouse in the current row, if any
+  keyAt(mouse) {
+    let cells = this.rows[this.row].cells;
+    return Object.keys(cells).find((key) => cells[key].contains(mouse));
+  }
+
+  // Marks the selected option in the current row
+  optionSelected(key) {
+    let cells = this.rows[this.row].cells;
+    Object.keys(cells).forEach((el) => {
+      cells[el].text = el == key ? '\u25CF' : '\u25CB';
+      cells[el].color = el == key ? this.options.activatedColor : this.options.unactivatedColor;
+    });
+    this.hovered = undefined;
+    return {
+      value: this.columns.find((el) => el.key == key).value,
+      specify: this.specify.find((el) => el["key"] == key),
+      skip: this.skips.find((el) => el["key"] == key)
+    };
+  }
+
+  _buildTable(inputs, items) {
+    this.stimuli = [];
+    const [x, y] = this.options.initialPos;
+    const left = x - this.options.width / 2;
+    const columnWidth = (this.options.width - this.options.stemWidth) / inputs.length;
+    const rowSpacing = Math.min(this.options.maxRowSpacing, (y + 0.45) / (items.length + 1));
+
+    // Column headers, one per option of the scale
+    this.columns = inputs.map((el, i) => ({
+      key: el.key,
+      value: el.value,
+      x: left + this.options.stemWidth + columnWidth * (i + 0.5)
+    }));
+    this.columns.forEach((column) => {
+      this.stimuli.push(this._text(
+        this.options.showKeyAndValue ? '(' + column.key + ') ' + column.value : column.value,
+        [column.x, y], columnWidth * 0.95));
+    });
+
+    // A row of empty cells for each item
+    this.rows = items.map((item, i) => {
+      let rowY = y - rowSpacing * (i + 1);
+      let row = {
+        stem: this._text(item, [left + this.options.stemWidth / 2, rowY], this.options.stemWidth * 0.95),
+        cells: {}
+      };
+      this.stimuli.push(row.stem);
+      this.columns.forEach((column) => {
+        row.cells[column.key] = this._text('\u25CB', [column.x, rowY]);
+        this.stimuli.push(row.cells[column.key]);
+      });
+      return row;
+    });
+  }
+
+  _text(text, pos, wrapWidth) {
+    return new visual.TextStim({
+      win: this.psychoJS.window,
+      text: text,
+      pos: pos,
+      wrapWidth: wrapWidth,
+      height: this.options.height,
+      font: this.options.font,
+      units: this.options.units,
+      color: this.options.unactivatedColor
+    });
+  }
+}
+
 // Possible continuous keyLists
 const LETTERS = ['a','b','c','d','e','f','g','h','i','j','k','l','m','n','o',
   'p','q','r','s','t','u','v','w','x','y','z','minus','space'];
 const FUNCTIONALITY = ['return', 'backspace', 'enter'];
 const NUMBERS = ['0','1','2','3','4','5','6','7','8','9'];
+const DECIMAL = [...NUMBERS, 'period', 'minus'];
+const CURSOR_BLINK = 0.5; // Seconds the cursor of a TEXT answer is shown or hidden
+const CHAR_WIDTH = 0.6; // Widest characters of a multi-line answer, in text heights
+const LINE_SPACING = 1.2; // Lines of a multi-line answer, in text heights
+
+// Splits text into the lines it takes up with a number of characters on each,
+// breaking at spaces where it can, as [start, end] offsets into the text
+function _wrapLines(text, lineChars) {
+  let lines = [];
+  let start = 0;
+  text.split('\n').forEach((paragraph) => {
+    let end = start + paragraph.length;
+    let lineStart = start;
+    while (end - lineStart > lineChars) {
+      let space = text.lastIndexOf(' ', lineStart + lineChars);
+      let lineEnd = space > lineStart ? space + 1 : lineStart + lineChars;
+      lines.push([lineStart, lineEnd]);
+      lineStart = lineEnd;
+    }
+    lines.push([lineStart, end]);
+    start = end + 1;
+  });
+  return lines;
+}
+
+// Number of words in a text
+function _countWords(text) {
+  return text.split(/\s+/).filter((el) => el !== '').length;
+}
 
 /**
  * Handles continuous input 
@@ -539,29 +2005,124 @@ class ContinuousInput {
     this.specify = [];
     this.keyList = [];
     this.maxLength = 0;
+    // Hidden text fields TEXT answers are typed into, one per kind
+    this.entries = {};
   }
 
-  // Builds the continuous input
-  build(keyList, maxLength=10, specify=[]) {
-    this.keyList = keyList;
-    this.maxLength = maxLength;
-    this.specify = specify;
+  // Builds the continuous input from a question's input, with its keyList,
+  // limits, specify steps and the validation rules an answer must pass
+  build(input) {
+    this.keyList = input.keyList;
+    this.freeText = input.keyList === "TEXT";
+    // Free text is only limited in length if asked to be
+    this.maxLength = input.maxLength !== undefined ? input.maxLength : (this.freeText ? Infinity : 10);
+    this.maxWords = this.freeText ? input.maxWords : undefined;
+    this.multiline = this.freeText && input.multiline === true;
+    this.showCounter = this.freeText && input.showCounter === true;
+    this.specify = input.specify || [];
+    this.validation = input.validation || {};
+    this.invalidAttempts = 0;
+    this.typed = '';
+    this.cursor = 0;
+    this.submitPressed = false;
+    this.blinkClock = new util.Clock();
+    Object.values(this.entries).forEach((el) => { el.value = ''; });
+
+    // Multi-line answers are written into a box, from its top left corner
+    let [x, y] = this.options.initialPos;
+    let [width, height] = this.options.boxSize;
+    let bottom = y - height / 2;
+    let textPos = this.multiline ? [x - width / 2 + 0.02, y + height / 2 - 0.02] : this.options.initialPos;
+    let errorPos = this.multiline ? [x, bottom - 0.07] : this.options.errorPos;
+    // Characters which fit on each line of the box, allowing for wide ones,
+    // and lines which fit in it. Longer answers scroll to the cursor.
+    this.lineChars = Math.max(1, Math.floor((width - 0.04) / (this.options.height * CHAR_WIDTH)));
+    this.boxLines = Math.max(1, Math.floor((height - 0.04) / (this.options.height * LINE_SPACING)));
+    this.firstLine = 0;
+    let buttonPos = this.multiline ? [x, bottom - 0.16] : this.options.buttonPos;
     this.stimuli = new visual.TextStim({
       win: this.psychoJS.window,
       text: '',
-      pos: this.options.initialPos,
+      pos: textPos,
       height: this.options.height,
+      wrapWidth: this.multiline ? width - 0.04 : undefined,
+      alignHoriz: this.multiline ? 'left' : 'center',
+      alignVert: this.multiline ? 'top' : 'center',
+      font: this.options.font,
       units: this.options.units,
       color: this.options.color
     });
+    this.box = new visual.Rect({
+      win: this.psychoJS.window,
+      name: 'answerBox',
+      width: width,
+      height: height,
+      pos: this.options.initialPos,
+      units: this.options.units,
+      lineWidth: 2,
+      lineColor: this.options.buttonColor,
+      fillColor: undefined
+    });
+    // Count of the characters or words typed, and the limit on them
+    this.counter = new visual.TextStim({
+      win: this.psychoJS.window,
+      text: '',
+      pos: this.multiline ? [x + width / 2, bottom - 0.025] : [x, y - 0.13],
+      height: this.options.height * 0.6,
+      alignHoriz: this.multiline ? 'right' : 'center',
+      font: this.options.font,
+      units: this.options.units,
+      color: this.options.buttonColor
+    });
+    // Error message shown under the answer when it is invalid
+    this.error = new visual.TextStim({
+      win: this.psychoJS.window,
+      text: '',
+      pos: errorPos,
+      height: this.options.height * 0.7,
+      wrapWidth: 1,
+      font: this.options.font,
+      units: this.options.units,
+      color: this.options.errorColor
+    });
+    // Button to submit the answer without a keyboard
+    this.button = new visual.Rect({
+      win: this.psychoJS.window,
+      name: 'submitButton',
+      width: this.options.buttonSize[0],
+      height: this.options.buttonSize[1],
+      pos: buttonPos,
+      units: this.options.units,
+      lineWidth: 2,
+      lineColor: this.options.buttonColor,
+      fillColor: undefined
+    });
+    this.buttonText = new visual.TextStim({
+      win: this.psychoJS.window,
+      text: this.options.buttonText,
+      pos: buttonPos,
+      height: this.options.height,
+      font: this.options.font,
+      units: this.options.units,
+      color: this.options.buttonColor
+    });
+    this.hovered = false;
+    this._render();
   }
 
   getKeys() {
     switch (this.keyList) {
       case "NUMBERS":
         return [...NUMBERS, ...FUNCTIONALITY];
+      case "DECIMAL":
+        return [...DECIMAL, ...FUNCTIONALITY];
       case "LETTERS":
         return [...LETTERS, ...FUNCTIONALITY];
+      // Characters are read from the text entry, see syncText. Enter
+      // starts a new line of a multi-line answer, which is submitted with
+      // Ctrl+Enter or the button.
+      case "TEXT":
+        return this.multiline ? [] : ['return', 'enter'];
       default:
         return [...NUMBERS, ...LETTERS, ...FUNCTIONALITY];
     }
@@ -569,71 +2130,625 @@ class ContinuousInput {
 
   // Removes the text
   reset() {
+    Object.values(this.entries).forEach((el) => {
+      el.value = '';
+      el.blur();
+    });
+    this.typed = '';
     this.stimuli.text = '';
+    this.error.text = '';
+    this.buttonText.color = this.options.buttonColor;
     this.setAutoDraw(false);
   }
 
   // Makes all the inputs draw / not draw
   setAutoDraw(autoDraw) {
     this.stimuli.setAutoDraw(autoDraw);
+    this.box.setAutoDraw(autoDraw && this.multiline);
+    this.counter.setAutoDraw(autoDraw && this.showCounter);
+    this.error.setAutoDraw(autoDraw);
+    this.button.setAutoDraw(autoDraw);
+    this.buttonText.setAutoDraw(autoDraw);
+  }
+
+  // Highlights the submit button when under the mouse
+  hover(mouse) {
+    let hovered = this.button.contains(mouse);
+    if (hovered !== this.hovered) {
+      this.buttonText.color = hovered ? this.options.color : this.options.buttonColor;
+      this.hovered = hovered;
+    }
+  }
+
+  // Clicking the submit button is the same as pressing enter
+  keyAt(mouse) {
+    return this.button.contains(mouse) ? 'return' : undefined;
+  }
+
+  // For the TEXT key list, shows the text typed into a hidden text field, so
+  // the browser handles the cursor, case, punctuation, accents, input methods
+  // and on-screen keyboards. Returns whether the text changed.
+  syncText() {
+    if (!this.freeText) {
+      return false;
+    }
+    let entry = this._entry();
+    // Clicking the experiment takes the focus from the field
+    if (document.activeElement !== entry) {
+      entry.focus();
+    }
+    let text = entry.value;
+    // Typing past the word limit is undone
+    if (this.maxWords !== undefined && _countWords(text) > this.maxWords) {
+      entry.value = this.typed;
+      text = this.typed;
+    }
+    let cursor = entry.selectionStart !== null && entry.selectionStart !== undefined ?
+      entry.selectionStart : text.length;
+    let changed = text !== this.typed;
+    // The cursor stays shown while typing or moving it
+    if (changed || cursor !== this.cursor) {
+      this.blinkClock.reset();
+    }
+    if (changed) {
+      this.error.text = '';
+    }
+    this.typed = text;
+    this.cursor = cursor;
+    this._render();
+    return changed;
+  }
+
+  // Whether a multi-line answer was submitted with Ctrl+Enter since last asked
+  takeSubmit() {
+    let pressed = this.submitPressed;
+    this.submitPressed = false;
+    return pressed;
   }
 
   // Sets the text on the continuous input
   keyIn(keyName) {
+    this.error.text = '';
     if (keyName === 'backspace') {
-      this.stimuli.text = this.stimuli.text.slice(0, -1);
-    } else if (this.stimuli.text.length < this.maxLength) {
+      this.typed = this.typed.slice(0, -1);
+    } else if (this.typed.length < this.maxLength) {
        if (keyName === 'space') {
-        this.stimuli.text += ' ';
+        this.typed += ' ';
       } else if (keyName === 'minus') {
-        this.stimuli.text += '-';
+        this.typed += '-';
+      } else if (keyName === 'period') {
+        this.typed += '.';
       } else {
-        this.stimuli.text += keyName.toUpperCase();
+        this.typed += keyName.toUpperCase();
       }
     }
+    this._render();
+  }
+
+  // Checks the answer against the validation rules, showing an error message
+  // and counting the attempt if it fails. Returns whether it is valid.
+  validate() {
+    let error = this._validationError(this.typed);
+    if (error === undefined) {
+      return true;
+    }
+    this.error.text = this.validation.message || error;
+    this.invalidAttempts += 1;
+    return false;
   }
 
-  // On user pressing enter
+  // On user pressing enter, the answer is recorded exactly as typed
   optionSelected() {
     let specifyObject = this.specify.find(
-      (el) => el["key"] == this.stimuli.text.toLowerCase());
+      (el) => el["key"] == this.typed.trim().toLowerCase());
+    this._render(false);
+    return {
+      value: this.typed,
+      specify: specifyObject,
+      invalidAttempts: this.invalidAttempts
+    }
+  }
+
+  // Returns the hidden text field for the answer, a text area for multi-line
+  // answers, making it the first time
+  _entry() {
+    let kind = this.multiline ? 'textarea' : 'input';
+    if (this.entries[kind] === undefined) {
+      let entry = document.createElement(kind);
+      entry.setAttribute('autocomplete', 'off');
+      entry.style.cssText = 'position: fixed; bottom: 0; left: 0; opacity: 0; pointer-events: none;';
+      if (this.multiline) {
+        entry.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            this.submitPressed = true;
+          }
+        });
+      }
+      document.body.appendChild(entry);
+      this.entries[kind] = entry;
+    }
+    let entry = this.entries[kind];
+    if (this.maxLength === Infinity) {
+      entry.removeAttribute('maxlength');
+    } else {
+      entry.maxLength = this.maxLength;
+    }
+    return entry;
+  }
+
+  // Shows the answer, with a blinking cursor where the next character of a
+  // TEXT answer goes, and the counter
+  _render(showCursor=true) {
+    let text = this.typed;
+    if (this.freeText && showCursor) {
+      let on = Math.floor(this.blinkClock.getTime() / CURSOR_BLINK) % 2 == 0;
+      // A thin space keeps the text still while the cursor is hidden
+      text = text.slice(0, this.cursor) + (on ? '|' : '\u2009') + text.slice(this.cursor);
+    }
+    if (this.multiline) {
+      text = this._scroll(text);
+    }
+    if (text !== this.stimuli.text) {
+      this.stimuli.text = text;
+    }
+    if (this.showCounter) {
+      let counter = this.maxWords !== undefined ?
+        _countWords(this.typed) + ' / ' + this.maxWords + ' words' :
+        this.typed.length + (this.maxLength !== Infinity ? ' / ' + this.maxLength : '') + ' characters';
+      if (counter !== this.counter.text) {
+        this.counter.text = counter;
+      }
+    }
+  }
+
+  // Returns the lines of a multi-line answer which fit in the box, scrolled
+  // so the line with the cursor is shown
+  _scroll(text) {
+    let lines = _wrapLines(text, this.lineChars);
+    let current = lines.findIndex(([start, end]) => this.cursor >= start && this.cursor <= end);
+    current = current == -1 ? lines.length - 1 : current;
+    if (current < this.firstLine) {
+      this.firstLine = current;
+    } else if (current >= this.firstLine + this.boxLines) {
+      this.firstLine = current - this.boxLines + 1;
+    }
+    this.firstLine = Math.min(this.firstLine, Math.max(0, lines.length - this.boxLines));
+    return lines.slice(this.firstLine, this.firstLine + this.boxLines)
+      .map(([start, end]) => text.slice(start, end)).join('\n');
+  }
+
+  // Returns the default error message for an invalid answer, undefined if valid
+  _validationError(text) {
+    let rules = this.validation;
+    if (text.trim() === '') {
+      return rules.required ? 'Please enter an answer.' : undefined;
+    }
+    if (rules.minLength !== undefined && text.length < rules.minLength) {
+      return 'Please enter at least ' + rules.minLength + ' characters.';
+    }
+    if (rules.min !== undefined || rules.max !== undefined || rules.integer) {
+      let number = Number(text);
+      if (isNaN(number)) {
+        return 'Please enter a number.';
+      }
+      if (rules.integer && !Number.isInteger(number)) {
+        return 'Please enter a whole number.';
+      }
+      if ((rules.min !== undefined && number < rules.min) ||
+          (rules.max !== undefined && number > rules.max)) {
+        if (rules.max === undefined) {
+          return 'Please enter a number of at least ' + rules.min + '.';
+        } else if (rules.min === undefined) {
+          return 'Please enter a number of at most ' + rules.max + '.';
+        }
+        return 'Please enter a number between ' + rules.min + ' and ' + rules.max + '.';
+      }
+    }
+    if (rules.pattern !== undefined && !new RegExp(rules.pattern).test(text)) {
+      return 'Please check the format of your answer.';
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Handles slider input, for visual analogue and Likert scales
+ */
+class SliderInput {
+
+  /* Options must have:
+    {
+      initialPos: The center of the slider
+      width: The width of the slider bar
+      height: The height of the texts
+      font: The font of the texts
+      units: The unit of the inputs
+      color: The color of the bar and labels
+      markerColor: The color of the marker
+      buttonText, buttonPos, buttonSize: The submit button
+    }
+    */
+  constructor(psychoJS, options) {
+    this.psychoJS = psychoJS;
+    this.options = options;
+    this.name = "SLIDER";
+  }
+
+  // Builds the slider from the question's input object, a random start
+  // coming from random()
+  build(input, random=Math.random) {
+    this.min = input.min !== undefined ? input.min : 0;
+    this.max = input.max !== undefined ? input.max : 100;
+    this.step = input.step || 1;
+    this.mustMove = input.mustMove || false;
+    this.initial = input.initial === "random" ?
+      this._snap(this.min + random() * (this.max - this.min)) :
+      this._snap(input.initial !== undefined ? input.initial : (this.min + this.max) / 2);
+    this.value = this.initial;
+    this.moved = false;
+    this.dragging = false;
+    this.hovered = false;
+
+    const [x, y] = this.options.initialPos;
+    const width = this.options.width;
+    this.stimuli = [];
+    this.bar = this._addStim(new visual.Rect({
+      win: this.psychoJS.window, name: 'sliderBar',
+      width: width, height: this.options.height * 0.2,
+      pos: [x, y], units: this.options.units,
+      lineColor: this.options.color, fillColor: this.options.color
+    }));
+    // Anchor labels at both ends of the bar
+    (input.labels || []).slice(0, 2).forEach((label, i) => {
+      this._addStim(this._text(label, [x + (i == 0 ? -width / 2 : width / 2), y - this.options.height * 1.5]));
+    });
+    // Tick marks with optional labels along the bar
+    (input.ticks || []).forEach((tick) => {
+      let tickX = this._xFromValue(tick.value);
+      this._addStim(new visual.Rect({
+        win: this.psychoJS.window, name: 'sliderTick',
+        width: this.options.height * 0.1, height: this.options.height * 0.6,
+        pos: [tickX, y], units: this.options.units,
+        lineColor: this.options.color, fillColor: this.options.color
+      }));
+      if (tick.label !== undefined) {
+        this._addStim(this._text(tick.label, [tickX, y - this.options.height * 0.8]));
+      }
+    });
+    this.marker = this._addStim(new visual.Rect({
+      win: this.psychoJS.window, name: 'sliderMarker',
+      width: this.options.height * 0.4, height: this.options.height * 1.2,
+      pos: [this._xFromValue(this.value), y], units: this.options.units,
+      lineColor: this.options.markerColor, fillColor: this.options.markerColor
+    }));
+    // Button to submit the answer without a keyboard
+    this.button = this._addStim(new visual.Rect({
+      win: this.psychoJS.window, name: 'submitButton',
+      width: this.options.buttonSize[0], height: this.options.buttonSize[1],
+      pos: this.options.buttonPos, units: this.options.units,
+      lineWidth: 2, lineColor: this.options.color, fillColor: undefined
+    }));
+    this.buttonText = this._addStim(this._text(this.options.buttonText, this.options.buttonPos));
+    // Fade out the submit button until the slider has been moved
+    this._setButtonOpacity();
+  }
+
+  getKeys() {
+    return ['left', 'right', 'return', 'enter'];
+  }
+
+  // Stops drawing the slider
+  reset() {
+    this.setAutoDraw(false);
+  }
+
+  // Makes all the inputs draw / not draw
+  setAutoDraw(autoDraw) {
+    this.stimuli.forEach((el) => el.setAutoDraw(autoDraw));
+  }
+
+  // Highlights the submit button when under the mouse
+  hover(mouse) {
+    let hovered = this.button.contains(mouse);
+    if (hovered !== this.hovered) {
+      this.buttonText.color = hovered ? this.options.markerColor : this.options.color;
+      this.hovered = hovered;
+    }
+  }
+
+  // Clicking the submit button is the same as pressing enter
+  keyAt(mouse) {
+    return this.button.contains(mouse) ? 'return' : undefined;
+  }
+
+  // Moves the marker with the arrow keys
+  keyIn(keyName) {
+    if (keyName === 'left') {
+      this._setValue(this.value - this.step);
+    } else if (keyName === 'right') {
+      this._setValue(this.value + this.step);
+    }
+  }
+
+  // Moves the marker to the mouse while it is held down on the bar
+  drag(mouse) {
+    if (mouse.getPressed()[0] == 0) {
+      this.dragging = false;
+      return;
+    }
+    let [mouseX, mouseY] = mouse.getPos();
+    let [x, y] = this.options.initialPos;
+    if (!this.dragging && Math.abs(mouseX - x) <= this.options.width / 2 &&
+        Math.abs(mouseY - y) <= this.options.height) {
+      this.dragging = true;
+    }
+    if (this.dragging) {
+      this._setValue(this.min + (mouseX - x + this.options.width / 2) /
+        this.options.width * (this.max - this.min));
+    }
+  }
+
+  // Whether the answer can be submitted yet
+  canSubmit() {
+    return !this.mustMove || this.moved;
+  }
+
+  // On user submitting
+  optionSelected() {
     return {
-      value: this.stimuli.text,
-      specify: specifyObject
+      value: this.value,
+      initial: this.initial
+    }
+  }
+
+  _setValue(value) {
+    value = this._snap(Math.min(this.max, Math.max(this.min, value)));
+    if (value !== this.value) {
+      this.value = value;
+      this.moved = true;
+      this.marker.pos = [this._xFromValue(value), this.options.initialPos[1]];
+      this._setButtonOpacity();
     }
   }
+
+  _setButtonOpacity() {
+    this.button.opacity = this.canSubmit() ? 1 : 0.3;
+    this.buttonText.opacity = this.canSubmit() ? 1 : 0.3;
+  }
+
+  // Rounds a value to the nearest step, avoiding floating point remainders
+  _snap(value) {
+    let steps = Math.round((value - this.min) / this.step);
+    return Number((this.min + steps * this.step).toFixed(10));
+  }
+
+  _xFromValue(value) {
+    return this.options.initialPos[0] - this.options.width / 2 +
+      (value - this.min) / (this.max - this.min) * this.options.width;
+  }
+
+  _text(text, pos) {
+    return new visual.TextStim({
+      win: this.psychoJS.window,
+      text: text,
+      pos: pos,
+      height: this.options.height * 0.8,
+      font: this.options.font,
+      units: this.options.units,
+      color: this.options.color
+    });
+  }
+
+  _addStim(stim) {
+    this.stimuli.push(stim);
+    return stim;
+  }
 }
 
 /* -------------------------------------------------------------------------- */
 /*                          Types of question inputs                          */
 /* -------------------------------------------------------------------------- */
 
+// Each input takes its options from the theme of the question being asked,
+// see PJSMod_Theme.js, placed at placement.initialPos unless it has inputPos
+
 class BuiltDiscreteInput extends DiscreteInput {
   constructor(psychoJS, placement) {
-    super(psychoJS, {
-      horizontalSpacing: 0,
-      verticalSpacing: 0.1,
-      showKeyAndValue: true,
-      initialPos: placement.initialPos,
-      height: 0.05,
+    super(psychoJS, {});
+    this.placement = placement;
+    this.setTheme(resolveTheme());
+  }
+
+  setTheme(theme) {
+    this.options = Object.assign(optionLayout(theme, 0.1), {
+      showKeyAndValue: theme.showKeys,
+      initialPos: theme.inputPos || this.placement.initialPos,
+      height: theme.optionHeight,
+      font: theme.font,
       units: 'height',
-      unactivatedColor: new util.Color('black'),
-      activatedColor: new util.Color('yellow'),
-      behavior: 'isolate'
-    })
+      unactivatedColor: new util.Color(theme.color),
+      activatedColor: new util.Color(theme.highlightColor),
+      behavior: theme.behavior || 'isolate'
+    });
   }
 }
-class BuiltContinuousInput extends ContinuousInput {
+class BuiltMultiInput extends MultiInput {
   constructor(psychoJS, placement) {
-    super(psychoJS, {
-      initialPos: placement.initialPos,
-      height: 0.05,
+    super(psychoJS, {});
+    this.placement = placement;
+    this.setTheme(resolveTheme());
+  }
+
+  setTheme(theme) {
+    let initialPos = theme.inputPos || this.placement.initialPos;
+    this.options = Object.assign(optionLayout(theme, 0.08), {
+      showKeyAndValue: theme.showKeys,
+      initialPos: initialPos,
+      height: theme.optionHeight,
+      font: theme.font,
       units: 'height',
-      color: new util.Color('yellow')
+      unactivatedColor: new util.Color(theme.color),
+      activatedColor: new util.Color(theme.highlightColor),
+      behavior: theme.behavior || 'highlight',
+      buttonText: 'Submit',
+      buttonPos: [initialPos[0], -0.4],
+      buttonSize: [0.25, 0.08]
     });
-  } 
+  }
 }
+class BuiltTableInput extends TableInput {
+  constructor(psychoJS, placement) {
+    super(psychoJS, {});
+    this.placement = placement;
+    this.setTheme(resolveTheme());
+  }
+
+  setTheme(theme) {
+    this.options = {
+      showKeyAndValue: theme.showKeys,
+      initialPos: theme.inputPos || this.placement.initialPos,
+      width: 1.5,
+      stemWidth: 0.6,
+      maxRowSpacing: 0.08,
+      height: theme.tableHeight,
+      font: theme.font,
+      units: 'height',
+      unactivatedColor: new util.Color(theme.color),
+      activatedColor: new util.Color(theme.highlightColor)
+    };
+  }
+}
+class BuiltContinuousInput extends ContinuousInput {
+  constructor(psychoJS, placement) {
+    super(psychoJS, {});
+    this.placement = placement;
+    this.setTheme(resolveTheme());
+  }
+
+  setTheme(theme) {
+    let initialPos = theme.inputPos || this.placement.initialPos;
+    this.options = {
+      initialPos: initialPos,
+      height: theme.optionHeight,
+      font: theme.font,
+      units: 'height',
+      color: new util.Color(theme.highlightColor),
+      errorPos: [initialPos[0], initialPos[1] - 0.08],
+      errorColor: new util.Color(theme.errorColor),
+      boxSize: [1.2, 0.3],
+      buttonText: 'Submit',
+      buttonPos: [initialPos[0], initialPos[1] - 0.2],
+      buttonSize: [0.25, 0.08],
+      buttonColor: new util.Color(theme.color)
+    };
+  }
+}
+class BuiltSliderInput extends SliderInput {
+  constructor(psychoJS, placement) {
+    super(psychoJS, {});
+    this.placement = placement;
+    this.setTheme(resolveTheme());
+  }
+
+  setTheme(theme) {
+    let initialPos = theme.inputPos || this.placement.initialPos;
+    this.options = {
+      initialPos: initialPos,
+      width: 1,
+      height: theme.optionHeight,
+      font: theme.font,
+      units: 'height',
+      color: new util.Color(theme.color),
+      markerColor: new util.Color(theme.highlightColor),
+      buttonText: 'Submit',
+      buttonPos: [initialPos[0], initialPos[1] - 0.25],
+      buttonSize: [0.25, 0.08]
+    };
+  }
+}
+
+
+/**
+ * Lists the answers to a survey, with a cursor to choose one to change and
+ * a finish button as the last row. Only a window of rows around the cursor
+ * is shown if there are more than fit on screen.
+ */
+class ReviewScreen {
+  constructor(psychoJS, options) {
+    this.psychoJS = psychoJS;
+    this.options = options;
+    this.stimuli = [];
+    this.cursor = 0;
+  }
+
+  // Builds the list from a line of text per answer
+  build(rows) {
+    this.rows = [...rows, this.options.finishText];
+    this.cursor = this.rows.length - 1;
+    let count = Math.min(this.rows.length, this.options.maxRows);
+    while (this.stimuli.length < count) {
+      this.stimuli.push(new visual.TextStim({
+        win: this.psychoJS.window,
+        text: '',
+        pos: [this.options.initialPos[0],
+          this.options.initialPos[1] - this.stimuli.length * this.options.rowSpacing],
+        wrapWidth: this.options.wrapWidth,
+        height: this.options.height,
+        font: this.options.font,
+        units: this.options.units,
+        color: this.options.unactivatedColor
+      }));
+    }
+    this.visible = this.stimuli.slice(0, count);
+    this._render();
+  }
+
+  getKeys() {
+    return ['up', 'down', 'return', 'enter'];
+  }
+
+  // Moves the cursor with the arrow keys
+  keyIn(keyName) {
+    if (keyName === 'up' && this.cursor > 0) {
+      this.cursor -= 1;
+    } else if (keyName === 'down' && this.cursor < this.rows.length - 1) {
+      this.cursor += 1;
+    }
+    this._render();
+  }
+
+  // Returns the row under the mouse, if any
+  rowAt(mouse) {
+    let index = this.visible.findIndex((el) => el.contains(mouse));
+    return index == -1 ? undefined : this.first + index;
+  }
+
+  setAutoDraw(autoDraw) {
+    this.visible.forEach((el) => el.setAutoDraw(autoDraw));
+  }
+
+  // Takes the colors and font of a survey's theme
+  setTheme(theme) {
+    Object.assign(this.options, {
+      font: theme.font,
+      unactivatedColor: new util.Color(theme.color),
+      activatedColor: new util.Color(theme.highlightColor)
+    });
+    this.stimuli.forEach((el) => { el.font = theme.font; });
+  }
 
+  // Shows the window of rows around the cursor, highlighting it
+  _render() {
+    let count = this.visible.length;
+    this.first = Math.min(Math.max(0, this.cursor - Math.floor(count / 2)), this.rows.length - count);
+    this.visible.forEach((stim, i) => {
+      stim.text = this.rows[this.first + i];
+      stim.color = this.first + i == this.cursor ?
+        this.options.activatedColor : this.options.unactivatedColor;
+    });
+  }
+}
 
 /* -------------------------------------------------------------------------- */
 /*                               Survey stimuli                               */
@@ -643,7 +2758,7 @@ function _initQuestion(psychoJS) {
   return new visual.TextStim({
       win: psychoJS.window,
       name: 'instrText',
-      text: 'You will now be asked some survey questions.\nFeel free to take a break at this point.\nPress Enter to continue when you are ready.',
+      text: 'You will now be asked some survey questions.\nFeel free to take a break at this point.\nPress Enter or tap to continue when you are ready.',
       units: 'height',
       pos: [0, 0], height: 0.05, wrapWidth: 1, ori: 0,
       color: new util.Color('black'), opacity: 1,
@@ -651,9 +2766,98 @@ function _initQuestion(psychoJS) {
   });
 }
 
+function _initBackButton(psychoJS) {
+  return new visual.TextStim({
+      win: psychoJS.window,
+      name: 'backButton',
+      text: '< Back',
+      units: 'height',
+      pos: [-0.5, -0.42], height: 0.04, ori: 0,
+      color: new util.Color('black'), opacity: 1,
+      depth: 0.0
+  });
+}
+
+function _initCountdown(psychoJS) {
+  return new visual.TextStim({
+      win: psychoJS.window,
+      name: 'countdown',
+      text: '',
+      units: 'height',
+      pos: [0.5, 0.45], height: 0.035, ori: 0,
+      color: new util.Color('black'), opacity: 1,
+      depth: 0.0
+  });
+}
+
+function _initProgressText(psychoJS) {
+  return new visual.TextStim({
+      win: psychoJS.window,
+      name: 'progressText',
+      text: '',
+      units: 'height',
+      pos: PROGRESS_INDICATOR.pos, height: PROGRESS_INDICATOR.height, ori: 0,
+      color: new util.Color('black'), opacity: 1,
+      depth: 0.0
+  });
+}
+
+// The outline of the progress bar, or the part of it filled
+function _initProgressBar(psychoJS, name, indicator) {
+  return new visual.Rect({
+      win: psychoJS.window,
+      name: name,
+      units: 'height',
+      width: indicator.width, height: indicator.height / 2,
+      pos: indicator.pos,
+      lineWidth: 1,
+      lineColor: new util.Color('black'),
+      fillColor: undefined,
+      opacity: 1,
+      depth: 0.0
+  });
+}
+
+function _initIdleWarning(psychoJS) {
+  return new visual.TextStim({
+      win: psychoJS.window,
+      name: 'idleWarning',
+      text: '',
+      units: 'height',
+      pos: [0, -0.46], height: 0.035, wrapWidth: 1.2, ori: 0,
+      color: new util.Color('red'), opacity: 1,
+      depth: 0.0
+  });
+}
+
+function _initReviewScreen(psychoJS) {
+  return new ReviewScreen(psychoJS, {
+    initialPos: [0, 0.28],
+    rowSpacing: 0.06,
+    maxRows: 11,
+    wrapWidth: 1.2,
+    height: 0.03,
+    units: 'height',
+    unactivatedColor: new util.Color('black'),
+    activatedColor: new util.Color('yellow'),
+    finishText: 'Finish'
+  });
+}
+
+// Formats an answer for display, with the answers to its specify steps
+function _formatAnswer(data) {
+  let format = (value) => value === null || value === undefined || value === '' ?
+    '(no answer)' : [].concat(value).join(', ');
+  let specify = data.specify.map((el) => format(el.value));
+  return format(data.value) + (specify.length > 0 ? ' (' + specify.join('; ') + ')' : '');
+}
+
 function _initInputTypes(psychoJS) {
   return {
     "DISCRETE": new BuiltDiscreteInput(psychoJS, {initialPos: [0, 0]}),
-    "CONTINUOUS": new BuiltContinuousInput(psychoJS, {initialPos: [0, 0]})
+    "CONTINUOUS": new BuiltContinuousInput(psychoJS, {initialPos: [0, 0]}),
+    "SLIDER": new BuiltSliderInput(psychoJS, {initialPos: [0, 0]}),
+    "MULTI": new BuiltMultiInput(psychoJS, {initialPos: [0, 0]}),
+    "GRID": new BuiltTableInput(psychoJS, {initialPos: [0, 0.25]})
   }
 }
\ No newline at end of file
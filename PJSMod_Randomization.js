@@ -0,0 +1,164 @@
+/*
+This module randomizes the order of a survey's questions and of their options,
+used by PJSMod_Questionnaire.js. Orders come from a seeded random number
+generator, so the same seed always gives the same order and a participant's
+order can be reproduced from their expInfo.
+
+A survey's question order is randomized by giving it a randomize field:
+
+  randomize: true     Shuffles every question
+  randomize: {
+    method?: ___ "shuffle" (default) to shuffle every question, or "blocks" to
+                 only shuffle questions among those of the same block
+    shuffleBlocks?: ___ With "blocks", if true the blocks themselves are also
+                        put in a random order
+    pinned?: [...] Names or indices of questions (or names of grids) which
+                   keep their position
+    seed?: ___ Field of expInfo the seed comes from, "participant" by default,
+               or a number to use as the seed
+  }
+
+Questions are put in a block by giving them a block field, the name of the
+block. Questions of a block should be next to each other, and questions in no
+block keep their position. Pinned questions in a block keep their position
+within it, moving with the block if blocks are shuffled. A grid block moves as
+one question.
+
+The options of a DISCRETE or MULTI question are randomized by giving its input
+a randomize field, either true or { pinned: [...] } with the keys of options
+which keep their position, e.g. "Other" or "Prefer not to say".
+
+Sliders starting at a random position take it from the survey's seed too.
+*/
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+export const RANDOMIZE_METHODS = ['shuffle', 'blocks'];
+
+/* -------------------------------------------------------------------------- */
+/*                                    Seeds                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the seed for a survey's randomization. The seed comes from a field
+ * of expInfo and the survey's set, so each survey gets its own order, or is a
+ * random one if that field is not filled in.
+ */
+export function surveySeed(survey, expInfo) {
+  let seed = typeof survey.randomize === 'object' ? survey.randomize.seed : undefined;
+  if (typeof seed === 'number') {
+    return seed >>> 0;
+  }
+  let value = (expInfo || {})[seed || 'participant'];
+  if (value === undefined || value === null || value === '') {
+    return Math.floor(Math.random() * 4294967296);
+  }
+  return _hash(String(value) + ':' + survey.set);
+}
+
+/**
+ * Returns a function giving random numbers in [0, 1), the same ones for the
+ * same seed (mulberry32)
+ */
+export function makeRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns random numbers for one item of a survey, like the start of a
+ * slider, from the survey's seed, so the item gets the same ones however the
+ * participant reaches it
+ */
+export function itemRandom(seed, item) {
+  return makeRandom(_hash(seed + ':' + item));
+}
+
+// Hashes text to a 32 bit seed (FNV-1a)
+function _hash(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                Randomization                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns a survey's questions in the order to present them, with the options
+ * of questions asking for it shuffled. The survey itself is left unchanged.
+ */
+export function randomizeSurvey(survey, random) {
+  let questions = survey.questions;
+  let settings = survey.randomize === true ? {} : survey.randomize;
+  if (settings) {
+    let pinned = settings.pinned || [];
+    let isPinned = (question) => pinned.some((el) =>
+      el == question.name || el == question.index || el == question.grid);
+    if (settings.method === 'blocks') {
+      questions = _shuffleBlocks(questions, isPinned, settings.shuffleBlocks, random);
+    } else {
+      questions = _shuffle(questions, isPinned, random);
+    }
+  }
+  return questions.map((question) => {
+    if (!question.input || !question.input.randomize || !Array.isArray(question.input.inputs)) {
+      return question;
+    }
+    let pinned = question.input.randomize.pinned || [];
+    let inputs = _shuffle(question.input.inputs, (el) => pinned.includes(el.key), random);
+    return Object.assign({}, question, {
+      input: Object.assign({}, question.input, { inputs: inputs })
+    });
+  });
+}
+
+// Shuffles the items which are not pinned among the positions they take up
+function _shuffle(items, isPinned, random) {
+  let free = items.filter((el) => !isPinned(el));
+  for (let i = free.length - 1; i > 0; i--) {
+    let j = Math.floor(random() * (i + 1));
+    [free[i], free[j]] = [free[j], free[i]];
+  }
+  return items.map((el) => isPinned(el) ? el : free.shift());
+}
+
+// Shuffles questions within their blocks, then the blocks if asked to. Each
+// block takes the place of its first question when blocks are shuffled.
+function _shuffleBlocks(questions, isPinned, shuffleBlocks, random) {
+  let blocks = {};
+  questions.forEach((question) => {
+    if (question.block !== undefined) {
+      blocks[question.block] = blocks[question.block] || [];
+      blocks[question.block].push(question);
+    }
+  });
+  let names = Object.keys(blocks);
+  names.forEach((name) => { blocks[name] = _shuffle(blocks[name], isPinned, random); });
+  if (!shuffleBlocks) {
+    return questions.map((question) => question.block === undefined ?
+      question : blocks[question.block].shift());
+  }
+
+  let order = _shuffle(names, () => false, random);
+  let placed = [];
+  questions.forEach((question) => {
+    if (question.block === undefined) {
+      placed.push(question);
+    } else if (question === questions.find((el) => el.block === question.block)) {
+      placed.push(...blocks[order[names.indexOf(question.block)]]);
+    }
+  });
+  return placed;
+}
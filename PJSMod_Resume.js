@@ -0,0 +1,128 @@
+/*
+This module saves progress through surveys and instructions to the browser's
+localStorage, so that a participant whose page is reloaded carries on where
+they were. It is used by PJSMod_Questionnaire.js and PJSMod_Instructions.js,
+and turned on for each module before the experiment starts:
+
+const SurveyQuestions = new SurveyQuestionsModule(psychoJS, expInfo, psiTurk, clock);
+const Instructions = new InstructionsModule(psychoJS, expInfo, psiTurk);
+SurveyQuestions.enableResume();
+Instructions.enableResume();
+...
+flowScheduler.add(() => SurveyQuestions.clearProgress());
+flowScheduler.add(() => Instructions.clearProgress());
+flowScheduler.add(quitPsychoJS, '', true);
+
+Progress is kept under a key made from the participant and session fields of
+expInfo, so other participants and sessions on the same browser start afresh.
+Other fields can be used instead with enableResume({ fields: [...] }). Without
+values for them, progress is not saved, with a warning in the console.
+
+After a reload, surveys and instruction sets which were finished are passed
+over, their answers still being used by the conditions of later surveys. The
+survey being answered carries on from the next question which was not
+answered, with the time its timeLimit had used by the last answer, and the
+instructions from the slide being shown. The experiment runs as it did before
+the reload, so surveys must be added in the same order and randomized with a
+seed from expInfo.
+
+The records a module saved are kept with its progress. The PsychoJS data file
+and psiTurk only hold records in the page until the experiment ends, so they
+lose them on a reload, and the records from before it are saved to them again
+when initStimuli runs. Sinks which send each record on as it is saved, like
+HttpSink, have persists set and are not sent them again.
+
+Progress is removed by clearProgress, which is best scheduled once everything
+it covers is done, so a reload at the end does not skip straight past it.
+*/
+
+import { recordTo } from './PJSMod_DataSinks.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+export const RESUME_FIELDS = ['participant', 'session']; // expInfo fields in the key
+const KEY_PREFIX = 'pjsmod_progress';
+const RECORDS_SUFFIX = '_records'; // Added to a progress key for the records saved
+
+/* -------------------------------------------------------------------------- */
+/*                                   Progress                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the localStorage key of a module's progress for the participant,
+ * or undefined if expInfo has none of the fields
+ */
+export function progressKey(expInfo, module, fields=RESUME_FIELDS) {
+  let values = fields.map((field) => expInfo ? expInfo[field] : undefined);
+  if (values.every((el) => el === undefined || el === '')) {
+    return undefined;
+  }
+  return [KEY_PREFIX, module, ...values.map((el) => el === undefined ? '' : el)].join('_');
+}
+
+/**
+ * Returns the progress saved under a key, or undefined if there is none or
+ * localStorage can not be used
+ */
+export function loadProgress(key) {
+  try {
+    let saved = window.localStorage.getItem(key);
+    return saved === null ? undefined : JSON.parse(saved);
+  } catch (error) {
+    console.warn('Could not load progress ' + key + ':', error);
+    return undefined;
+  }
+}
+
+/**
+ * Saves progress under a key, carrying on without it if localStorage can not
+ * be used, e.g. when it is full or turned off
+ */
+export function saveProgress(key, progress) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(progress));
+  } catch (error) {
+    console.warn('Could not save progress ' + key + ':', error);
+  }
+}
+
+/**
+ * Removes the progress saved under a key, and the records saved with it
+ */
+export function clearProgress(key) {
+  try {
+    window.localStorage.removeItem(key);
+    window.localStorage.removeItem(key + RECORDS_SUFFIX);
+  } catch (error) {
+    console.warn('Could not clear progress ' + key + ':', error);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Records                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the records saved with the progress under a key, as
+ * [{ name, data }], or an empty list if there are none
+ */
+export function loadRecords(key) {
+  return loadProgress(key + RECORDS_SUFFIX) || [];
+}
+
+/**
+ * Saves the records a module has saved so far with its progress
+ */
+export function saveRecords(key, records) {
+  saveProgress(key + RECORDS_SUFFIX, records);
+}
+
+/**
+ * Saves records from before a reload again to the sinks which lost them
+ */
+export function resendRecords(records, sinks) {
+  let lost = sinks.filter((sink) => !sink.persists);
+  records.forEach((record) => recordTo(lost, record.name, record.data));
+}
@@ -0,0 +1,135 @@
+/*
+This module scores the subscales of a survey from its answers, used by
+PJSMod_Questionnaire.js once a survey set is finished. It has no PsychoJS
+dependencies, so scoring can also be checked in Node. A survey declares its
+scoring as:
+
+  scoring: {
+    subscales: [
+      {
+        name: ___ Name of the score in the data and in conditions
+        items: [...] Indices or names of the questions it is made of
+        method?: ___ "sum" (default) or "mean"
+        reverse?: [...] Indices or names of items which are reverse keyed
+        maxMissing?: ___ Most items which can be unanswered for there to be a
+                         score, 0 by default. With more, the score is null.
+        prorate?: ___ If true, a sum with unanswered items is scaled up to
+                      the full number of items (the mean times the count)
+      }
+    ]
+  }
+
+An option is scored by its score field, e.g. { key: "1", value: "Several
+days", score: 1 }, or by its value if that is a number. A multi-select answer
+scores the total of its selected options, and slider and typed answers score
+their number. A reverse keyed item scores (lowest + highest) - score, using
+the lowest and highest scores of its options or the range of its slider.
+*/
+
+import { expandGrids } from './PJSMod_Grids.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+export const SCORING_METHODS = ['sum', 'mean'];
+
+/* -------------------------------------------------------------------------- */
+/*                                   Scoring                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Scores each subscale of a survey. lookup(question) returns the recorded
+ * response to a question by index or name, undefined if it was not answered.
+ * Returns { scores, answered } with the score and number of items answered
+ * for each subscale by name, a score being null if too many are missing.
+ */
+export function scoreSurvey(survey, lookup) {
+  let result = { scores: {}, answered: {} };
+  if (!survey.scoring) {
+    return result;
+  }
+  let questions = expandGrids(survey.questions);
+  (survey.scoring.subscales || []).forEach((subscale) => {
+    let reverse = subscale.reverse || [];
+    let itemScores = subscale.items.map((item) => {
+      let question = _findQuestion(questions, item);
+      let score = itemScore(question, lookup(item));
+      if (score !== undefined && reverse.some((el) => el == item)) {
+        let range = scoreRange(question);
+        score = range ? range[0] + range[1] - score : undefined;
+      }
+      return score;
+    }).filter((el) => el !== undefined);
+
+    let total = itemScores.reduce((sum, el) => sum + el, 0);
+    let missing = subscale.items.length - itemScores.length;
+    result.answered[subscale.name] = itemScores.length;
+    if (missing > (subscale.maxMissing || 0) || itemScores.length == 0) {
+      result.scores[subscale.name] = null;
+    } else if (subscale.method === 'mean') {
+      result.scores[subscale.name] = total / itemScores.length;
+    } else if (subscale.prorate) {
+      result.scores[subscale.name] = total / itemScores.length * subscale.items.length;
+    } else {
+      result.scores[subscale.name] = total;
+    }
+  });
+  return result;
+}
+
+/**
+ * Returns the score of a response to a question, undefined if it has none
+ */
+export function itemScore(question, response) {
+  if (!question || !response || response.value === null || response.value === undefined ||
+      response.value === '') {
+    return undefined;
+  }
+  let input = question.input || {};
+  if (Array.isArray(input.inputs)) {
+    let keys = [].concat(response.choice);
+    let scores = keys.map((key) => optionScore(input.inputs.find((el) => el.key == key)));
+    if (scores.some((el) => el === undefined)) {
+      return undefined;
+    }
+    return scores.reduce((sum, el) => sum + el, 0);
+  }
+  let score = Number(response.value);
+  return Number.isFinite(score) ? score : undefined;
+}
+
+/**
+ * Returns the score of an option, undefined if it has none
+ */
+export function optionScore(option) {
+  if (!option) {
+    return undefined;
+  }
+  let score = option.score !== undefined ? option.score : option.value;
+  if (typeof score === 'string' && score.trim() !== '') {
+    score = Number(score);
+  }
+  return typeof score === 'number' && Number.isFinite(score) ? score : undefined;
+}
+
+/**
+ * Returns the [lowest, highest] score a question can give, used to reverse
+ * it, or undefined if it has no fixed range
+ */
+export function scoreRange(question) {
+  let input = (question && question.input) || {};
+  if (input.type === "SLIDER") {
+    return [input.min !== undefined ? input.min : 0, input.max !== undefined ? input.max : 100];
+  }
+  if (input.type === "DISCRETE" && Array.isArray(input.inputs)) {
+    let scores = input.inputs.map(optionScore).filter((el) => el !== undefined);
+    return scores.length > 0 ? [Math.min(...scores), Math.max(...scores)] : undefined;
+  }
+  return undefined;
+}
+
+// Finds a question by index or name
+function _findQuestion(questions, item) {
+  return questions.find((el) => el && (el.index == item || el.name == item));
+}
@@ -0,0 +1,868 @@
+/*
+This module checks that a survey object has the structure expected by
+PJSMod_Questionnaire.js (see _generateSurveyQuestionsLoop there). It has no
+PsychoJS dependencies, so besides being run by SurveyQuestionsModule before
+the experiment starts it can be used in Node to check survey files in tests:
+
+import { validateSurvey } from './PJSMod_SurveyValidator.js';
+
+const survey = JSON.parse(fs.readFileSync('demographics.json'));
+const { errors, warnings } = validateSurvey(survey);
+
+Each error or warning is a string starting with the path of the offending
+field, e.g. "questions[4].input.skips[0].index: 12 not found". Errors are
+problems which would break the survey while it runs, warnings are things
+which are probably mistakes. Conditions which refer to other survey sets are
+only checked against the surveys passed in as previousSurveys. Surveys with
+text in several languages (see PJSMod_Locale.js) are checked with the text of
+their fallback locale, with a warning for each text missing in any language.
+
+In versions of Node before 22, run with --experimental-detect-module so this
+file is loaded as an ES module.
+*/
+
+import { CONDITION_OPERATORS, conditionReferences } from './PJSMod_Branching.js';
+import { expandGrids, isGrid } from './PJSMod_Grids.js';
+import { DEFAULT_LOCALE, isLocaleMap, localizeSurvey, surveyLocales } from './PJSMod_Locale.js';
+import { findPlaceholders } from './PJSMod_Piping.js';
+import { RANDOMIZE_METHODS } from './PJSMod_Randomization.js';
+import { SCORING_METHODS, optionScore, scoreRange } from './PJSMod_Scoring.js';
+import { THEME_BEHAVIORS, THEME_FIELDS, THEME_LAYOUTS } from './PJSMod_Theme.js';
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+const KEY_LISTS = ["NUMBERS", "DECIMAL", "LETTERS", "TEXT"]; // Known continuous input key lists
+const VALIDATION_RULES = ['required', 'minLength', 'min', 'max', 'integer',
+  'pattern', 'message']; // Rules a continuous answer can be checked against
+
+/* -------------------------------------------------------------------------- */
+/*                                 Validation                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Validates a survey, returning {errors, warnings} as lists of path-qualified
+ * messages. previousSurveys are the surveys asked before this one.
+ */
+export function validateSurvey(survey, previousSurveys=[]) {
+  const report = { errors: [], warnings: [] };
+  if (!_isObject(survey)) {
+    report.errors.push('survey: must be an object');
+    return report;
+  }
+  _checkType(report, 'fallbackLocale', survey.fallbackLocale, 'string', false);
+  _checkLocalizedConditions(report, survey, previousSurveys);
+  const locales = surveyLocales(survey);
+  if (locales.length > 0) {
+    _checkLocales(report, survey, locales);
+    survey = localizeSurvey(survey, survey.fallbackLocale || DEFAULT_LOCALE);
+  }
+
+  _checkType(report, 'set', survey.set, 'string', true);
+  _checkType(report, 'linger', survey.linger, 'number', true);
+  _checkType(report, 'instructions', survey.instructions, 'string', false);
+  _checkType(report, 'allowBack', survey.allowBack, 'boolean', false);
+  _checkType(report, 'backKey', survey.backKey, 'string', false);
+  _checkType(report, 'review', survey.review, 'boolean', false);
+  _checkType(report, 'reviewText', survey.reviewText, 'string', false);
+  if (survey.randomize !== undefined) {
+    _checkRandomize(report, survey);
+  }
+  _checkTimeLimit(report, 'timeLimit', survey.timeLimit);
+  _checkType(report, 'showCountdown', survey.showCountdown, 'boolean', false);
+  _checkTimeLimit(report, 'idleWarning', survey.idleWarning);
+  _checkType(report, 'idleText', survey.idleText, 'string', false);
+  _checkType(report, 'showProgress', survey.showProgress, 'boolean', false);
+  _checkTheme(report, 'theme', survey.theme);
+  if (!Array.isArray(survey.questions) || survey.questions.length == 0) {
+    report.errors.push('questions: must be a non-empty array');
+    return report;
+  }
+
+  // Questions of this survey and the others as they are asked, with grids
+  // expanded into their items
+  const context = {
+    survey: { set: survey.set, questions: expandGrids(survey.questions) },
+    previous: {}
+  };
+  previousSurveys.forEach((el) => {
+    context.previous[el.set] = {
+      set: el.set, questions: expandGrids(el.questions), scoring: el.scoring };
+  });
+  _checkText(report, 'instructions', survey.instructions, 0, context);
+
+  const indices = {};
+  const names = {};
+  let position = 0;
+  survey.questions.forEach((question, i) => {
+    const path = 'questions[' + i + ']';
+    if (!_isObject(question)) {
+      report.errors.push(path + ': must be an object');
+      position += 1;
+      return;
+    }
+    if (!isGrid(question)) {
+      _checkIdentifiers(report, path, question, indices, names);
+      _checkQuestion(report, path, question, position, context);
+      position += 1;
+      return;
+    }
+
+    // Grid items are checked as questions, with the shared input once
+    if (!Array.isArray(question.items) || question.items.length == 0) {
+      report.errors.push(path + '.items: must be a non-empty array');
+      return;
+    }
+    if (!['sequential', 'table', undefined].includes(question.layout)) {
+      report.errors.push(path + '.layout: must be "sequential" or "table"');
+    } else if (question.layout === 'table' && _isObject(question.input) &&
+        question.input.type !== "DISCRETE") {
+      report.errors.push(path + '.layout: tables need a DISCRETE input');
+    }
+    ['showIf', 'skipIf'].forEach((field) => {
+      if (question[field] !== undefined) {
+        _checkCondition(report, path + '.' + field, question[field], position, context);
+      }
+    });
+    _checkTimeLimit(report, path + '.timeLimit', question.timeLimit);
+    _checkType(report, path + '.showCountdown', question.showCountdown, 'boolean', false);
+    _checkTheme(report, path + '.theme', question.theme);
+    _checkText(report, path + '.question', question.question, position, context);
+    question.items.forEach((item, j) => {
+      const itemPath = path + '.items[' + j + ']';
+      if (!_isObject(item)) {
+        report.errors.push(itemPath + ': must be an object');
+      } else {
+        _checkIdentifiers(report, itemPath, item, indices, names);
+        _checkQuestion(report, itemPath, Object.assign({}, item, { input: question.input }),
+          position, context, j == 0 ? path + '.input' : undefined);
+      }
+      position += 1;
+    });
+  });
+  if (survey.allowBack) {
+    _checkBackKey(report, survey);
+  }
+  if (survey.scoring !== undefined) {
+    _checkScoring(report, survey.scoring, context);
+  }
+  return report;
+}
+
+// Warns about text which is missing in any of the languages a survey is in
+function _checkLocales(report, survey, locales) {
+  locales.forEach((locale) => {
+    localizeSurvey(survey, locale, (path, missing, used) => {
+      report.warnings.push(path + ': no "' + missing + '" text, "' + used + '" is shown instead');
+    });
+  });
+}
+
+// Checks no condition compares the value of an option given in several
+// languages, as values are recorded in the participant's language and the
+// condition would only hold for some of them
+function _checkLocalizedConditions(report, survey, previousSurveys) {
+  if (!Array.isArray(survey.questions)) {
+    return;
+  }
+  const localized = (questions) => expandGrids(questions.filter(_isObject)).filter((question) =>
+    _isObject(question.input) && Array.isArray(question.input.inputs) &&
+    question.input.inputs.some((option) => _isObject(option) && isLocaleMap(option.value)));
+  const sets = { [survey.set]: localized(survey.questions) };
+  previousSurveys.filter((el) => _isObject(el) && Array.isArray(el.questions)).forEach((el) => {
+    sets[el.set] = localized(el.questions);
+  });
+  _surveyConditions(survey).forEach(([path, condition]) => {
+    let references = [];
+    try {
+      references = conditionReferences(condition);
+    } catch (error) {
+      // Malformed conditions are reported by _checkCondition
+    }
+    references.filter((el) => _isObject(el) && el.question !== undefined).forEach((reference) => {
+      const compared = CONDITION_OPERATORS.some((op) => op !== 'answered' && reference[op] !== undefined);
+      const question = (sets[reference.set !== undefined ? reference.set : survey.set] || []).find(
+        (el) => el.name == reference.question || el.index == reference.question);
+      if (compared && (reference.field || 'value') === 'value' && question !== undefined) {
+        report.errors.push(path + ': compares the value of ' + reference.question +
+          ', whose options are in several languages, compare its "choice" instead');
+      }
+    });
+  });
+}
+
+// Returns every condition of a survey's questions with its path
+function _surveyConditions(survey) {
+  const conditions = [];
+  const add = (path, question) => {
+    ['showIf', 'skipIf'].filter((field) => question[field] !== undefined).forEach((field) => {
+      conditions.push([path + '.' + field, question[field]]);
+    });
+    (Array.isArray(question.jumps) ? question.jumps : []).filter(_isObject).forEach((jump, i) => {
+      conditions.push([path + '.jumps[' + i + '].if', jump.if]);
+    });
+  };
+  survey.questions.forEach((question, i) => {
+    if (_isObject(question)) {
+      add('questions[' + i + ']', question);
+      (isGrid(question) && Array.isArray(question.items) ? question.items : []).forEach((item, j) => {
+        if (_isObject(item)) {
+          add('questions[' + i + '].items[' + j + ']', item);
+        }
+      });
+    }
+  });
+  return conditions;
+}
+
+// Checks each subscale is made of questions which can be scored
+function _checkScoring(report, scoring, context) {
+  if (!_isObject(scoring) || !Array.isArray(scoring.subscales)) {
+    report.errors.push('scoring.subscales: must be an array');
+    return;
+  }
+  const names = {};
+  scoring.subscales.forEach((subscale, i) => {
+    const path = 'scoring.subscales[' + i + ']';
+    if (!_isObject(subscale)) {
+      report.errors.push(path + ': must be an object');
+      return;
+    }
+    _checkType(report, path + '.name', subscale.name, 'string', true);
+    if (names[subscale.name] !== undefined) {
+      report.errors.push(path + '.name: ' + subscale.name + ' already used by ' + names[subscale.name]);
+    } else if (subscale.name !== undefined) {
+      names[subscale.name] = path;
+    }
+    if (subscale.method !== undefined && !SCORING_METHODS.includes(subscale.method)) {
+      report.errors.push(path + '.method: must be one of ' + SCORING_METHODS.join(', '));
+    }
+    if (subscale.maxMissing !== undefined &&
+        !(Number.isInteger(subscale.maxMissing) && subscale.maxMissing >= 0)) {
+      report.errors.push(path + '.maxMissing: must be a whole number of items');
+    }
+    _checkType(report, path + '.prorate', subscale.prorate, 'boolean', false);
+    if (!Array.isArray(subscale.items) || subscale.items.length == 0) {
+      report.errors.push(path + '.items: must be a non-empty array');
+      return;
+    }
+    const questions = context.survey.questions;
+    const find = (item) => questions.find((el) => _isObject(el) && (el.index == item || el.name == item));
+    subscale.items.forEach((item, j) => {
+      const question = find(item);
+      if (!question) {
+        report.errors.push(path + '.items[' + j + ']: ' + item + ' not found');
+        return;
+      }
+      const input = _isObject(question.input) ? question.input : {};
+      if (Array.isArray(input.inputs) && input.inputs.some((el) => optionScore(el) === undefined)) {
+        report.errors.push(path + '.items[' + j + ']: ' + item +
+          ' has options without a numeric score or value');
+      } else if (input.type === "CONTINUOUS" && input.keyList !== "NUMBERS" && input.keyList !== "DECIMAL") {
+        report.warnings.push(path + '.items[' + j + ']: ' + item +
+          ' is typed in, so only scores if a number is entered');
+      }
+    });
+    (Array.isArray(subscale.reverse) ? subscale.reverse : []).forEach((item, j) => {
+      const reversePath = path + '.reverse[' + j + ']';
+      if (!subscale.items.some((el) => el == item)) {
+        report.errors.push(reversePath + ': ' + item + ' is not one of the items');
+      } else if (find(item) && !scoreRange(find(item))) {
+        report.errors.push(reversePath + ': ' + item + ' has no range of scores to reverse, ' +
+          'only DISCRETE and SLIDER items can be reversed');
+      }
+    });
+  });
+}
+
+// Checks the question order settings, and the branching which may point
+// backwards once the questions are shuffled
+function _checkRandomize(report, survey) {
+  const settings = survey.randomize;
+  if (typeof settings !== 'boolean' && !_isObject(settings)) {
+    report.errors.push('randomize: must be a boolean or an object');
+    return;
+  }
+  if (_isObject(settings)) {
+    if (settings.method !== undefined && !RANDOMIZE_METHODS.includes(settings.method)) {
+      report.errors.push('randomize.method: must be one of ' + RANDOMIZE_METHODS.join(', '));
+    }
+    _checkType(report, 'randomize.shuffleBlocks', settings.shuffleBlocks, 'boolean', false);
+    if (settings.seed !== undefined && !['string', 'number'].includes(typeof settings.seed)) {
+      report.errors.push('randomize.seed: must be an expInfo field or a number');
+    }
+    if (settings.pinned !== undefined && !Array.isArray(settings.pinned)) {
+      report.errors.push('randomize.pinned: must be an array');
+    }
+    (Array.isArray(settings.pinned) ? settings.pinned : []).forEach((pin, i) => {
+      if (!survey.questions.some((el) => _isObject(el) &&
+          (el.name == pin || el.index == pin || el.grid == pin))) {
+        report.errors.push('randomize.pinned[' + i + ']: ' + pin + ' not found');
+      }
+    });
+    if (settings.method === 'blocks' && !survey.questions.some((el) => el && el.block !== undefined)) {
+      report.warnings.push('randomize.method: no question has a block, nothing is shuffled');
+    }
+  }
+  if (settings !== false) {
+    _checkShuffledTargets(report, survey, _isObject(settings) ? settings : {});
+  }
+}
+
+// Checks that shuffling can not put the target of a jump or skip before its
+// question, which it can unless both keep their position or are in one grid
+function _checkShuffledTargets(report, survey, settings) {
+  const pinned = Array.isArray(settings.pinned) ? settings.pinned : [];
+  const keepsPosition = (entry) => settings.method === 'blocks' ?
+    entry.block === undefined || (!settings.shuffleBlocks && _isPinned(entry, pinned)) :
+    _isPinned(entry, pinned);
+  // Entries of the survey by the name and index of each question in them
+  const entries = {};
+  survey.questions.filter(_isObject).forEach((entry) => {
+    (isGrid(entry) && Array.isArray(entry.items) ? entry.items : [entry]).filter(_isObject)
+      .forEach((question) => {
+        entries['name:' + question.name] = entry;
+        entries['index:' + question.index] = entry;
+      });
+  });
+  survey.questions.forEach((entry, i) => {
+    if (!_isObject(entry)) {
+      return;
+    }
+    const questions = isGrid(entry) && Array.isArray(entry.items) ?
+      entry.items.map((item, j) => [item, 'questions[' + i + '].items[' + j + ']']) :
+      [[entry, 'questions[' + i + ']']];
+    questions.filter(([question]) => _isObject(question)).forEach(([question, path]) => {
+      const input = isGrid(entry) ? entry.input : question.input;
+      const targets = [
+        ...(Array.isArray(question.jumps) ? question.jumps : []).map((jump, j) =>
+          [path + '.jumps[' + j + '].to', 'name:' + jump.to]),
+        ...(_isObject(input) && Array.isArray(input.skips) && !isGrid(entry) ? input.skips : [])
+          .map((skip, j) => skip.to !== undefined ?
+            [path + '.input.skips[' + j + '].to', 'name:' + skip.to] :
+            [path + '.input.skips[' + j + '].index', 'index:' + skip.index])
+      ];
+      targets.forEach(([targetPath, target]) => {
+        const targetEntry = entries[target];
+        if (targetEntry !== undefined && targetEntry !== entry &&
+            !(keepsPosition(entry) && keepsPosition(targetEntry))) {
+          report.errors.push(targetPath + ': ' + target.replace(/^\w+:/, '') +
+            ' may come before this question once the questions are shuffled, ' +
+            'pin both to keep their positions');
+        }
+      });
+    });
+  });
+}
+
+// Whether a survey entry is pinned by its name, index or grid name
+function _isPinned(entry, pinned) {
+  return pinned.some((pin) => pin == entry.name || pin == entry.index || pin == entry.grid);
+}
+
+// Warns about questions where the back key is also an answer key, as it
+// can only go back from them with the back button
+function _checkBackKey(report, survey) {
+  const backKey = survey.backKey || 'b';
+  survey.questions.forEach((question, i) => {
+    const input = _isObject(question) ? question.input : undefined;
+    if (!_isObject(input)) {
+      return;
+    }
+    const path = 'questions[' + i + '].input';
+    const keys = Array.isArray(input.inputs) ? input.inputs.map((el) => el && el.key) : [];
+    // Continuous inputs type letters with LETTERS or no keyList, and numbers
+    // with NUMBERS, DECIMAL or no keyList
+    const typed = input.type === "CONTINUOUS" && (
+      (/^[a-z]$/.test(backKey) && [undefined, "LETTERS"].includes(input.keyList)) ||
+      (/^[0-9]$/.test(backKey) && [undefined, "NUMBERS", "DECIMAL"].includes(input.keyList)));
+    if (keys.includes(backKey) || input.confirmKey === backKey || typed) {
+      report.warnings.push(path + ': back key ' + backKey +
+        ' is also an answer key, only the back button goes back from here');
+    }
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Questions                                 */
+/* -------------------------------------------------------------------------- */
+
+// Checks the index and name of a question are unique, indices and names
+// holding the path of the question each is used by so far
+function _checkIdentifiers(report, path, question, indices, names) {
+  if (question.index === undefined) {
+    report.errors.push(path + '.index: missing');
+  } else if (indices[question.index] !== undefined) {
+    report.errors.push(path + '.index: ' + question.index +
+      ' already used by ' + indices[question.index]);
+  } else {
+    indices[question.index] = path;
+  }
+  if (question.name !== undefined) {
+    if (names[question.name] !== undefined) {
+      report.errors.push(path + '.name: ' + question.name +
+        ' already used by ' + names[question.name]);
+    } else {
+      names[question.name] = path;
+    }
+  }
+}
+
+// Checks a question, or a specify block which has the same structure. The
+// input is reported under inputPath, and not checked if that is undefined.
+function _checkQuestion(report, path, question, position, context, inputPath=path + '.input') {
+  _checkType(report, path + '.question', question.question, 'string', true);
+  _checkText(report, path + '.question', question.question, position, context);
+  _checkTimeLimit(report, path + '.timeLimit', question.timeLimit);
+  _checkType(report, path + '.showCountdown', question.showCountdown, 'boolean', false);
+  _checkTheme(report, path + '.theme', question.theme);
+  ['showIf', 'skipIf'].forEach((field) => {
+    if (question[field] !== undefined) {
+      _checkCondition(report, path + '.' + field, question[field], position, context);
+    }
+  });
+  (question.jumps || []).forEach((jump, i) => {
+    const jumpPath = path + '.jumps[' + i + ']';
+    _checkCondition(report, jumpPath + '.if', jump.if, position + 1, context);
+    if (jump.to === undefined) {
+      report.errors.push(jumpPath + '.to: missing');
+    } else {
+      _checkTarget(report, jumpPath + '.to', 'name', jump.to, position, context);
+    }
+  });
+
+  const input = question.input;
+  if (inputPath === undefined) {
+    return;
+  }
+  if (!_isObject(input)) {
+    report.errors.push(inputPath + ': missing');
+    return;
+  }
+  switch (input.type) {
+    case "DISCRETE":
+      _checkDiscreteInput(report, inputPath, input, position, context);
+      break;
+    case "CONTINUOUS":
+      _checkContinuousInput(report, inputPath, input);
+      break;
+    case "SLIDER":
+      _checkSliderInput(report, inputPath, input);
+      break;
+    case "MULTI":
+      _checkMultiInput(report, inputPath, input);
+      break;
+    case undefined:
+      report.errors.push(inputPath + '.type: missing');
+      return;
+    default:
+      report.errors.push(inputPath + '.type: unknown type ' + input.type);
+      return;
+  }
+  if (question.correct !== undefined) {
+    const keys = input.type === "DISCRETE" && Array.isArray(input.inputs) ?
+      input.inputs.map((el) => el.key) : [];
+    [].concat(question.correct).forEach((key) => {
+      if (!keys.some((el) => String(el) === String(key))) {
+        report.errors.push(path + '.correct: ' + key + ' is not an option of a DISCRETE input');
+      }
+    });
+  }
+  _checkType(report, path + '.feedback', question.feedback, 'string', false);
+  if (input.randomize && !["DISCRETE", "MULTI"].includes(input.type)) {
+    report.warnings.push(inputPath + '.randomize: only DISCRETE and MULTI options are randomized');
+  }
+  _checkInputText(report, inputPath, input, position, context);
+
+  // Specify steps are asked as part of this question
+  const keys = ["DISCRETE", "MULTI"].includes(input.type) && Array.isArray(input.inputs) ?
+    input.inputs.map((el) => el.key) : undefined;
+  (input.specify || []).forEach((specify, i) => {
+    const specifyPath = inputPath + '.specify[' + i + ']';
+    if (specify.key === undefined) {
+      report.errors.push(specifyPath + '.key: missing');
+    } else if (keys && !keys.includes(specify.key)) {
+      report.errors.push(specifyPath + '.key: ' + specify.key + ' is not an option');
+    }
+    if (specify.input === undefined && specify.inputs !== undefined) {
+      report.errors.push(specifyPath + '.input: missing, inputs must be ' +
+        'given inside an input object like a question');
+      return;
+    }
+    _checkQuestion(report, specifyPath, specify, position, context);
+  });
+}
+
+// Checks the placeholders in the text shown for an input's options and labels
+function _checkInputText(report, path, input, position, context) {
+  (Array.isArray(input.inputs) ? input.inputs : []).forEach((option, i) => {
+    ['value', 'label'].forEach((field) => _checkText(report,
+      path + '.inputs[' + i + '].' + field, _isObject(option) ? option[field] : undefined,
+      position, context));
+  });
+  (Array.isArray(input.labels) ? input.labels : []).forEach((label, i) => {
+    _checkText(report, path + '.labels[' + i + ']', label, position, context);
+  });
+  (Array.isArray(input.ticks) ? input.ticks : []).forEach((tick, i) => {
+    _checkText(report, path + '.ticks[' + i + '].label', _isObject(tick) ? tick.label : undefined,
+      position, context);
+  });
+}
+
+// Checks the options and skips of a discrete input
+function _checkDiscreteInput(report, path, input, position, context) {
+  const keys = _checkOptions(report, path, input);
+  if (!keys) {
+    return;
+  }
+  (input.skips || []).forEach((skip, i) => {
+    const skipPath = path + '.skips[' + i + ']';
+    if (keys[skip.key] === undefined) {
+      report.errors.push(skipPath + '.key: ' + skip.key + ' is not an option');
+    }
+    if (skip.to !== undefined) {
+      _checkTarget(report, skipPath + '.to', 'name', skip.to, position, context);
+    } else if (skip.index !== undefined) {
+      _checkTarget(report, skipPath + '.index', 'index', skip.index, position, context);
+    } else {
+      report.errors.push(skipPath + ': needs a to or index');
+    }
+  });
+}
+
+// Checks the options and selection limits of a multi-select input
+function _checkMultiInput(report, path, input) {
+  const keys = _checkOptions(report, path, input);
+  if (!keys) {
+    return;
+  }
+  const count = input.inputs.length;
+  const min = input.minSelected !== undefined ? input.minSelected : 1;
+  const max = input.maxSelected !== undefined ? input.maxSelected : count;
+  _checkType(report, path + '.minSelected', input.minSelected, 'number', false);
+  _checkType(report, path + '.maxSelected', input.maxSelected, 'number', false);
+  if (min > max || max > count || max < 1) {
+    report.errors.push(path + '.maxSelected: selection limits ' + min + ' to ' +
+      max + ' are not possible with ' + count + ' options');
+  }
+  const confirmKey = input.confirmKey || 'return';
+  if (keys[confirmKey] !== undefined) {
+    report.errors.push(path + '.confirmKey: ' + confirmKey + ' is also an option key');
+  }
+  if (input.skips !== undefined) {
+    report.warnings.push(path + '.skips: multi-select inputs do not skip, use jumps instead');
+  }
+}
+
+// Checks the options of a discrete or multi-select input, returning the
+// position of each key or undefined if there are no options
+function _checkOptions(report, path, input) {
+  if (!Array.isArray(input.inputs) || input.inputs.length == 0) {
+    report.errors.push(path + '.inputs: must be a non-empty array');
+    return undefined;
+  }
+  const keys = {};
+  input.inputs.forEach((option, i) => {
+    const optionPath = path + '.inputs[' + i + ']';
+    if (option.key === undefined) {
+      report.errors.push(optionPath + '.key: missing');
+    } else if (keys[option.key] !== undefined) {
+      report.errors.push(optionPath + '.key: ' + option.key +
+        ' already used by inputs[' + keys[option.key] + ']');
+    } else {
+      keys[option.key] = i;
+    }
+    if (option.value === undefined) {
+      report.errors.push(optionPath + '.value: missing');
+    }
+  });
+  const randomize = input.randomize;
+  if (randomize !== undefined && typeof randomize !== 'boolean') {
+    if (!_isObject(randomize) || !Array.isArray(randomize.pinned || [])) {
+      report.errors.push(path + '.randomize: must be a boolean or { pinned: [...] }');
+    } else {
+      (randomize.pinned || []).forEach((key, i) => {
+        if (keys[key] === undefined) {
+          report.errors.push(path + '.randomize.pinned[' + i + ']: ' + key + ' is not an option');
+        }
+      });
+    }
+  }
+  return keys;
+}
+
+// Checks the settings of a continuous input
+function _checkContinuousInput(report, path, input) {
+  if (input.keyList !== undefined && !KEY_LISTS.includes(input.keyList)) {
+    report.warnings.push(path + '.keyList: unknown key list ' + input.keyList +
+      ', numbers and letters will be accepted');
+  }
+  if (input.maxLength !== undefined && !(input.maxLength > 0)) {
+    report.errors.push(path + '.maxLength: must be a positive number');
+  }
+  _checkType(report, path + '.multiline', input.multiline, 'boolean', false);
+  _checkType(report, path + '.showCounter', input.showCounter, 'boolean', false);
+  if (input.maxWords !== undefined && !(Number.isInteger(input.maxWords) && input.maxWords > 0)) {
+    report.errors.push(path + '.maxWords: must be a positive whole number');
+  }
+  ['multiline', 'maxWords', 'showCounter'].filter((field) => input[field] !== undefined)
+    .forEach((field) => {
+      if (input.keyList !== "TEXT") {
+        report.warnings.push(path + '.' + field + ': only used with the TEXT key list');
+      }
+    });
+  if (input.validation !== undefined) {
+    _checkValidation(report, path + '.validation', input);
+  }
+}
+
+// Checks the validation rules of a continuous input can be passed
+function _checkValidation(report, path, input) {
+  const rules = input.validation;
+  if (!_isObject(rules)) {
+    report.errors.push(path + ': must be an object');
+    return;
+  }
+  Object.keys(rules).forEach((rule) => {
+    if (!VALIDATION_RULES.includes(rule)) {
+      report.errors.push(path + '.' + rule + ': unknown rule');
+    }
+  });
+  ['minLength', 'min', 'max'].forEach((rule) => _checkType(report, path + '.' + rule, rules[rule], 'number', false));
+  _checkType(report, path + '.message', rules.message, 'string', false);
+  if (rules.min !== undefined && rules.max !== undefined && rules.min > rules.max) {
+    report.errors.push(path + '.max: must not be less than min');
+  }
+  if (rules.minLength !== undefined && input.maxLength !== undefined && rules.minLength > input.maxLength) {
+    report.errors.push(path + '.minLength: longer than the maxLength of ' + input.maxLength);
+  }
+  if (rules.pattern !== undefined) {
+    try {
+      new RegExp(rules.pattern);
+    } catch (e) {
+      report.errors.push(path + '.pattern: not a valid regular expression');
+    }
+  }
+  const numeric = rules.min !== undefined || rules.max !== undefined || rules.integer;
+  if (numeric && input.keyList === "LETTERS") {
+    report.errors.push(path + ': numeric rules can not be met with the LETTERS key list');
+  } else if (numeric && !["DECIMAL", "TEXT"].includes(input.keyList) && [rules.min, rules.max].some((el) => el < 0)) {
+    report.warnings.push(path + ': negative numbers need the DECIMAL key list to be typed');
+  }
+}
+
+// Checks the range, labels and ticks of a slider input
+function _checkSliderInput(report, path, input) {
+  const min = input.min !== undefined ? input.min : 0;
+  const max = input.max !== undefined ? input.max : 100;
+  _checkType(report, path + '.min', input.min, 'number', false);
+  _checkType(report, path + '.max', input.max, 'number', false);
+  if (!(min < max)) {
+    report.errors.push(path + '.max: must be greater than min');
+  }
+  if (input.step !== undefined && !(input.step > 0)) {
+    report.errors.push(path + '.step: must be a positive number');
+  }
+  if (input.initial !== undefined && input.initial !== "random" &&
+      !(input.initial >= min && input.initial <= max)) {
+    report.errors.push(path + '.initial: must be "random" or within min and max');
+  }
+  if (input.labels !== undefined && !(Array.isArray(input.labels) && input.labels.length <= 2)) {
+    report.errors.push(path + '.labels: must be an array of at most two anchor labels');
+  }
+  (input.ticks || []).forEach((tick, i) => {
+    if (!(tick.value >= min && tick.value <= max)) {
+      report.errors.push(path + '.ticks[' + i + '].value: must be within min and max');
+    }
+  });
+  if (input.specify !== undefined) {
+    report.warnings.push(path + '.specify: sliders do not have specify steps');
+  }
+}
+
+// Checks that a jump or skip leads to a later question in the survey
+function _checkTarget(report, path, field, target, position, context) {
+  const found = context.survey.questions.findIndex(
+    (el) => _isObject(el) && el[field] == target);
+  if (found == -1) {
+    report.errors.push(path + ': ' + target + ' not found');
+  } else if (found <= position) {
+    report.errors.push(path + ': ' + target + ' is not after this question');
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 Conditions                                 */
+/* -------------------------------------------------------------------------- */
+
+// Checks the structure of a condition and the questions it refers to, which
+// must come before the given position in the survey
+function _checkCondition(report, path, condition, position, context) {
+  if (typeof condition === 'boolean') {
+    return;
+  }
+  if (!_isObject(condition)) {
+    report.errors.push(path + ': must be an object or boolean');
+    return;
+  }
+  for (const combinator of ['all', 'any']) {
+    if (condition[combinator] !== undefined) {
+      if (!Array.isArray(condition[combinator])) {
+        report.errors.push(path + '.' + combinator + ': must be an array');
+      } else {
+        condition[combinator].forEach((el, i) => _checkCondition(
+          report, path + '.' + combinator + '[' + i + ']', el, position, context));
+      }
+      return;
+    }
+  }
+  if (condition.not !== undefined) {
+    _checkCondition(report, path + '.not', condition.not, position, context);
+    return;
+  }
+
+  if (condition.question === undefined && condition.score === undefined) {
+    report.errors.push(path + '.question: missing');
+    return;
+  }
+  Object.keys(condition).forEach((field) => {
+    if (!['question', 'score', 'set', 'field'].includes(field) &&
+        !CONDITION_OPERATORS.includes(field)) {
+      report.errors.push(path + '.' + field + ': unknown operator');
+    }
+  });
+  ['in', 'notIn'].forEach((op) => {
+    if (condition[op] !== undefined && !Array.isArray(condition[op])) {
+      report.errors.push(path + '.' + op + ': must be an array');
+    }
+  });
+  if (condition.between !== undefined &&
+      !(Array.isArray(condition.between) && condition.between.length == 2)) {
+    report.errors.push(path + '.between: must be an array of [min, max]');
+  }
+  if (condition.field !== undefined && !['value', 'choice'].includes(condition.field)) {
+    report.errors.push(path + '.field: must be "value" or "choice"');
+  }
+
+  if (condition.score !== undefined) {
+    _checkScoreReference(report, path, condition, context);
+  } else {
+    _checkReference(report, path + '.question', path + '.set', condition, position, context);
+  }
+}
+
+// Checks a condition's score is one of a survey set finished before this one
+function _checkScoreReference(report, path, condition, context) {
+  if (condition.set === undefined || condition.set == context.survey.set) {
+    report.errors.push(path + '.set: scores are only known once their survey is ' +
+      'finished, so must be from an earlier set');
+    return;
+  }
+  const previous = context.previous[condition.set];
+  if (!previous) {
+    report.warnings.push(path + '.set: ' + condition.set + ' is not a known earlier set');
+    return;
+  }
+  const subscales = previous.scoring && Array.isArray(previous.scoring.subscales) ?
+    previous.scoring.subscales : [];
+  if (!subscales.some((el) => _isObject(el) && el.name == condition.score)) {
+    report.errors.push(path + '.score: ' + condition.score + ' is not scored by ' + condition.set);
+  }
+}
+
+// Checks the question a condition or placeholder refers to exists and is
+// asked before the given position
+function _checkReference(report, questionPath, setPath, reference, position, context) {
+  let questions = context.survey.questions;
+  if (reference.set !== undefined && reference.set != context.survey.set) {
+    if (!context.previous[reference.set]) {
+      report.warnings.push(setPath + ': ' + reference.set + ' is not a known earlier set');
+      return;
+    }
+    questions = context.previous[reference.set].questions;
+    position = questions.length;
+  }
+  const found = questions.findIndex((el) => _isObject(el) &&
+    (el.name == reference.question || el.index == reference.question));
+  if (found == -1) {
+    report.errors.push(questionPath + ': ' + reference.question + ' not found');
+  } else if (found >= position) {
+    report.warnings.push(questionPath + ': ' + reference.question +
+      ' is not asked before this point, so is never answered');
+  }
+}
+
+// Checks the placeholders in a piece of survey text, see PJSMod_Piping.js
+function _checkText(report, path, text, position, context) {
+  findPlaceholders(text).forEach((placeholder) => {
+    const where = path + ' ' + placeholder.text;
+    if (placeholder.error) {
+      report.errors.push(where + ': ' + placeholder.error);
+    } else if (placeholder.source === 'answer') {
+      _checkReference(report, where, where, placeholder, position, context);
+    }
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Helpers                                  */
+/* -------------------------------------------------------------------------- */
+
+// Checks a number of seconds is positive, if it is given
+function _checkTimeLimit(report, path, value) {
+  if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+    report.errors.push(path + ': must be a positive number of seconds');
+  }
+}
+
+// Checks a theme has known fields with values of the right kind
+function _checkTheme(report, path, theme) {
+  if (theme === undefined) {
+    return;
+  }
+  if (!_isObject(theme)) {
+    report.errors.push(path + ': must be an object');
+    return;
+  }
+  Object.entries(theme).forEach(([field, value]) => {
+    const kind = THEME_FIELDS[field];
+    if (kind === undefined) {
+      report.warnings.push(path + '.' + field + ': not a theme field, it is ignored');
+    } else if (kind === 'position') {
+      if (!Array.isArray(value) || value.length != 2 || value.some((el) => typeof el !== 'number')) {
+        report.errors.push(path + '.' + field + ': must be an [x, y] position');
+      }
+    } else if (kind === 'color') {
+      if (typeof value !== 'string' && !Array.isArray(value)) {
+        report.errors.push(path + '.' + field + ': must be a color name, hex string or [r, g, b]');
+      }
+    } else {
+      _checkType(report, path + '.' + field, value, kind, false);
+    }
+  });
+  if (theme.layout !== undefined && !THEME_LAYOUTS.includes(theme.layout)) {
+    report.errors.push(path + '.layout: must be one of ' + THEME_LAYOUTS.join(', '));
+  }
+  if (theme.behavior !== undefined && !THEME_BEHAVIORS.includes(theme.behavior)) {
+    report.errors.push(path + '.behavior: must be one of ' + THEME_BEHAVIORS.join(', '));
+  }
+  if (typeof theme.columns === 'number' && (!Number.isInteger(theme.columns) || theme.columns < 1)) {
+    report.errors.push(path + '.columns: must be a whole number of at least 1');
+  }
+}
+
+function _isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Checks a field has the given type, and is present if it is required
+function _checkType(report, path, value, type, required) {
+  if (value === undefined) {
+    if (required) {
+      report.errors.push(path + ': missing');
+    }
+  } else if (typeof value !== type) {
+    report.errors.push(path + ': must be a ' + type);
+  }
+}
@@ -0,0 +1,126 @@
+/*
+This module has the theme PJSMod_Questionnaire.js styles and lays out survey
+questions with. A theme can be given to SurveyQuestionsModule for every
+survey, and to a survey or a question to change it there:
+
+const SurveyQuestions = new SurveyQuestionsModule(psychoJS, expInfo, psiTurk, clock, sinks, {
+  color: "white", highlightColor: "orange"
+});
+
+  {
+    set: "demographics",
+    theme: { layout: "horizontal", spacing: 0.25 },
+    questions: [
+      { index: 1, question: "...", theme: { showKeys: false }, input: {...} }
+    ]
+  }
+
+Specify steps use the theme of their question, along with their own. Every
+field is optional, sizes and positions are in 'height' units:
+
+  color: ___ Color of text, options, buttons and sliders, "black" by default
+  highlightColor: ___ Color of hovered and selected options, typed answers
+                      and the slider marker, "yellow" by default
+  errorColor: ___ Color of error messages and the idle warning, "red"
+  font: ___ Font of all text, "Arial"
+  questionHeight: ___ Height of the question text, 0.05
+  questionPos: [x, y] Position of the question, [0, 0.4]
+  questionWrapWidth: ___ Width the question wraps at, 1
+  inputPos: [x, y] Center of the options, typed answer or slider, or the top
+                   of a grid table, [0, 0] and [0, 0.25] for tables by default
+  optionHeight: ___ Height of options, typed answers and sliders, 0.05
+  tableHeight: ___ Height of the text of grid tables, 0.03
+  optionWrapWidth: ___ Width options wrap at
+  layout: ___ How DISCRETE and MULTI options are laid out, "vertical",
+              "horizontal" or "grid"
+  spacing: ___ Distance between options, or between the rows of a grid
+  columns: ___ Columns of a grid layout, 2
+  columnWidth: ___ Distance between the columns of a grid layout, 0.6
+  behavior: ___ "highlight" to keep showing every option once one is chosen,
+                or "isolate" to only show the chosen ones. DISCRETE isolates
+                and MULTI highlights by default.
+  showKeys: ___ If false, options are shown without their "(key)" prefix
+
+Colors are anything util.Color takes, like "white", "#ff8800" or [1, 1, 1].
+*/
+
+/* -------------------------------------------------------------------------- */
+/*                                  Constants                                 */
+/* -------------------------------------------------------------------------- */
+
+export const THEME_LAYOUTS = ['vertical', 'horizontal', 'grid'];
+export const THEME_BEHAVIORS = ['highlight', 'isolate'];
+
+// The kind of value each field of a theme takes
+export const THEME_FIELDS = {
+  color: 'color', highlightColor: 'color', errorColor: 'color',
+  font: 'string',
+  questionHeight: 'number', questionPos: 'position', questionWrapWidth: 'number',
+  inputPos: 'position',
+  optionHeight: 'number', tableHeight: 'number', optionWrapWidth: 'number',
+  layout: 'string', spacing: 'number', columns: 'number', columnWidth: 'number',
+  behavior: 'string',
+  showKeys: 'boolean'
+};
+
+export const DEFAULT_THEME = {
+  color: 'black',
+  highlightColor: 'yellow',
+  errorColor: 'red',
+  font: 'Arial',
+  questionHeight: 0.05,
+  questionPos: [0, 0.4],
+  questionWrapWidth: 1,
+  inputPos: undefined,
+  optionHeight: 0.05,
+  tableHeight: 0.03,
+  optionWrapWidth: undefined,
+  layout: 'vertical',
+  spacing: undefined,
+  columns: 2,
+  columnWidth: 0.6,
+  behavior: undefined,
+  showKeys: true
+};
+
+/* -------------------------------------------------------------------------- */
+/*                                   Themes                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Returns the default theme with each theme given laid over it in order,
+ * skipping any which are undefined
+ */
+export function resolveTheme(...themes) {
+  return Object.assign({}, DEFAULT_THEME, ...themes.filter((el) => el));
+}
+
+/**
+ * Returns how options are placed for a theme, as the horizontalSpacing,
+ * verticalSpacing, columns and wrapWidth of a discrete input. spacing is
+ * used when the theme has none.
+ */
+export function optionLayout(theme, spacing) {
+  if (theme.layout === 'horizontal') {
+    return {
+      horizontalSpacing: theme.spacing !== undefined ? theme.spacing : 0.3,
+      verticalSpacing: 0,
+      columns: undefined,
+      wrapWidth: theme.optionWrapWidth
+    };
+  }
+  if (theme.layout === 'grid') {
+    return {
+      horizontalSpacing: theme.columnWidth,
+      verticalSpacing: theme.spacing !== undefined ? theme.spacing : spacing,
+      columns: theme.columns,
+      wrapWidth: theme.optionWrapWidth !== undefined ? theme.optionWrapWidth : theme.columnWidth * 0.95
+    };
+  }
+  return {
+    horizontalSpacing: 0,
+    verticalSpacing: theme.spacing !== undefined ? theme.spacing : spacing,
+    columns: undefined,
+    wrapWidth: theme.optionWrapWidth !== undefined ? theme.optionWrapWidth : 2
+  };
+}
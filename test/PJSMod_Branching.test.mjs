@@ -0,0 +1,42 @@
+/*
+Tests of the branching conditions in PJSMod_Branching.js
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { conditionReferences, evaluateCondition } from '../PJSMod_Branching.js';
+
+const ANSWERS = {
+  age: { value: 34, choice: null },
+  smoke: { value: 'Yes', choice: 'y' },
+  pets: { value: ['cat', 'dog'], choice: ['a', 'b'] }
+};
+const lookup = (reference) => ANSWERS[reference.question];
+
+test('compares answers', () => {
+  assert.equal(evaluateCondition({ question: 'age', gte: 18 }, lookup), true);
+  assert.equal(evaluateCondition({ question: 'age', between: [40, 60] }, lookup), false);
+  assert.equal(evaluateCondition({ question: 'smoke', equals: 'yes' }, lookup), true);
+  assert.equal(evaluateCondition({ question: 'smoke', field: 'choice', in: ['n', 'u'] }, lookup), false);
+  assert.equal(evaluateCondition({ question: 'pets', contains: 'dog' }, lookup), true);
+});
+
+test('combines conditions', () => {
+  let condition = { all: [{ question: 'age', gt: 18 }, { not: { question: 'smoke', equals: 'No' } }] };
+  assert.equal(evaluateCondition(condition, lookup), true);
+  assert.equal(evaluateCondition({ any: [false, { question: 'age', lt: 18 }] }, lookup), false);
+  assert.equal(evaluateCondition(undefined, lookup), true);
+});
+
+test('is false for comparisons on questions not answered', () => {
+  assert.equal(evaluateCondition({ question: 'name', notEquals: 'Ana' }, lookup), false);
+  assert.equal(evaluateCondition({ question: 'name', answered: false }, lookup), true);
+  assert.equal(evaluateCondition({ question: 'age', answered: false }, lookup), false);
+});
+
+test('lists the comparisons in a condition', () => {
+  let condition = { any: [{ question: 'age', gt: 18 }, { not: { set: 'demo', question: 'smoke', equals: 'y' } }] };
+  assert.deepEqual(conditionReferences(condition).map((el) => el.question), ['age', 'smoke']);
+  assert.deepEqual(conditionReferences(true), []);
+});
@@ -0,0 +1,40 @@
+/*
+Tests of ComprehensionCheck in PJSMod_ComprehensionCheck.js, run through
+PJSMod_Harness.js with scripted participants
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { ComprehensionCheck } from '../PJSMod_ComprehensionCheck.js';
+import { Clock, Experiment, scriptedParticipant } from '../PJSMod_Harness.js';
+import { InstructionsModule } from '../PJSMod_Instructions.js';
+import { SurveyQuestionsModule } from '../PJSMod_Questionnaire.js';
+
+const QUIZ = { set: 'quiz', linger: 0.01, questions: [
+  { index: 1, question: 'Which key for red?', correct: 'l', feedback: 'Red is the left key.',
+    input: { type: 'DISCRETE', inputs: [{ key: 'l', value: 'Left' }, { key: 'r', value: 'Right' }] } }
+]};
+
+test('repeats the instructions until the quiz is passed', () => {
+  const experiment = new Experiment({ resources: { QUIZ: QUIZ } });
+  const surveys = new SurveyQuestionsModule(experiment.psychoJS, experiment.expInfo, undefined,
+    new Clock(), [experiment]);
+  const instructions = new InstructionsModule(experiment.psychoJS, experiment.expInfo, undefined, [experiment]);
+  const check = new ComprehensionCheck(experiment.psychoJS, instructions, surveys);
+  experiment.flowScheduler.add(() => surveys.initStimuli());
+  experiment.flowScheduler.add(() => instructions.initStimuli());
+  check.addCheck(experiment.flowScheduler, [{ name: 'rules.png' }], 'rules', 'QUIZ', { feedback: true });
+
+  let result = experiment.run(scriptedParticipant([
+    { on: 'rules.png', do: 'f' },
+    { on: 'Which key for red?', do: 'r' },
+    { on: /Red is the left key/, do: 'return' },
+    { on: 'rules.png', do: 'f' },
+    { on: 'Which key for red?', do: 'l' }
+  ]));
+  assert.equal(result.finished, true);
+  let checks = result.records.filter((el) => el.name === 'rules_check').map((el) => el.data);
+  assert.deepEqual(checks.map((el) => [el.attempt, el.correct, el.passed]), [[1, 0, false], [2, 1, true]]);
+  assert.equal(surveys.getResponses('quiz')[1].choice, 'l');
+});
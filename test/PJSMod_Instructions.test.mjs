@@ -0,0 +1,86 @@
+/*
+Tests of InstructionsModule in PJSMod_Instructions.js, run through
+PJSMod_Harness.js with scripted participants
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { Experiment, MemoryStorage, scriptedParticipant } from '../PJSMod_Harness.js';
+import { InstructionsModule } from '../PJSMod_Instructions.js';
+
+const SLIDES = [{ name: 'one.png' }, { name: 'two.png' }, { name: 'three.png' }];
+
+// Sets up an experiment showing the slides as the set "intro"
+function setup(slides, options={}, settings={}) {
+  const experiment = new Experiment({ expInfo: settings.expInfo, storage: settings.storage,
+    soundDurations: settings.soundDurations });
+  const instructions = new InstructionsModule(experiment.psychoJS, experiment.expInfo, undefined, [experiment]);
+  if (settings.resume) {
+    instructions.enableResume();
+  }
+  experiment.flowScheduler.add(() => instructions.initStimuli());
+  instructions.addInstructions(experiment.flowScheduler, slides, 'intro', options);
+  return experiment;
+}
+
+const viewing = (result) => result.records.find((el) => el.name === 'intro_viewing').data;
+
+test('moves between slides and records how they were viewed', () => {
+  let result = setup(SLIDES).run(scriptedParticipant([
+    { on: 'one.png', do: 'n' },
+    { on: 'two.png', do: 'b' },
+    { on: 'one.png', do: 'n' },
+    { on: 'two.png', do: 'n' },
+    { on: 'three.png', do: 'f' }
+  ]));
+  assert.equal(result.finished, true);
+  let moves = result.records.filter((el) => el.name === 'intro_navigation')
+    .map((el) => [el.data.key, el.data.from, el.data.to]);
+  assert.deepEqual(moves, [['n', 0, 1], ['b', 1, 0], ['n', 0, 1], ['n', 1, 2], ['f', 2, -1]]);
+  let data = viewing(result);
+  assert.deepEqual(data.slides.map((el) => el.slide), [0, 1, 0, 1, 2]);
+  assert.equal(data.revisits, 2);
+});
+
+test('keeps the set going until every slide is viewed', () => {
+  let result = setup(SLIDES, { mustReachLast: false, mustViewAll: true }).run(scriptedParticipant([
+    { on: 'one.png', do: 'f' },
+    { on: 'one.png', do: 'n' },
+    { on: 'two.png', do: 'n' },
+    { on: 'three.png', do: 'f' }
+  ]));
+  assert.equal(result.finished, true);
+  let presses = viewing(result).presses.map((el) => [el.action, el.moved]);
+  assert.deepEqual(presses, [['finish', false], ['next', true], ['next', true], ['finish', true]]);
+});
+
+test('advances narrated slides on their own, pausing when asked', () => {
+  let slides = [{ name: 'one.png', audio: 'story' }, { name: 'two.png', duration: 2 }];
+  let result = setup(slides, { autoAdvance: true }, { soundDurations: { story: 3 } })
+    .run(scriptedParticipant([{ on: 'one.png', do: [{ wait: 1 }, 'p', { wait: 2 }, 'p'] }]));
+  assert.equal(result.finished, true);
+  let events = viewing(result).events.map((el) => el.event);
+  assert.deepEqual(events, ['show', 'audioStart', 'pause', 'resume', 'audioEnd', 'advance', 'show', 'advance']);
+  assert.ok(Math.abs(viewing(result).duration - 7) < 0.2);
+});
+
+test('carries on from the slide shown before a reload', () => {
+  const storage = new MemoryStorage();
+  const settings = { expInfo: { participant: 'p1' }, storage: storage, resume: true };
+  let result = setup(SLIDES, {}, settings).run(scriptedParticipant([
+    { on: 'one.png', do: 'n' }
+  ]), { maxTime: 2 });
+  assert.equal(result.finished, false);
+
+  result = setup(SLIDES, {}, settings).run(scriptedParticipant([
+    { on: 'two.png', do: 'n' },
+    { on: 'three.png', do: 'f' }
+  ]));
+  assert.equal(result.finished, true);
+  assert.ok(!result.path.some((el) => el.texts.includes('one.png')));
+  assert.equal(viewing(result).resumedAt, 1);
+  // The move made before the reload is saved again
+  assert.deepEqual(result.records.map((el) => el.name),
+    ['intro_navigation', 'intro_navigation', 'intro_navigation', 'intro_viewing']);
+});
@@ -0,0 +1,42 @@
+/*
+Tests of the text chosen for a locale by PJSMod_Locale.js
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { localeOf, localize, localizeSurvey, surveyLocales } from '../PJSMod_Locale.js';
+
+const SURVEY = {
+  set: 'demo',
+  instructions: { en: 'Welcome', es: 'Bienvenida' },
+  questions: [
+    { index: 1, question: { en: 'Do you smoke?', es: '¿Fuma?' },
+      showIf: { question: 'x', equals: { en: 'kept as it is' } },
+      input: { type: 'DISCRETE', inputs: [{ key: 'y', value: { en: 'Yes', es: 'Sí', fr: 'Oui' } }] } }
+  ]
+};
+
+test('reads the locale from expInfo', () => {
+  assert.equal(localeOf({ language: ' es ' }), 'es');
+  assert.equal(localeOf({}), 'en');
+});
+
+test('falls back from a region to its language, then the fallback', () => {
+  let missing = [];
+  let onMissing = (locale, used) => missing.push([locale, used]);
+  assert.equal(localize({ en: 'Yes', es: 'Sí' }, 'es-MX', 'en', onMissing), 'Sí');
+  assert.equal(localize({ en: 'Yes', es: 'Sí' }, 'de', 'en', onMissing), 'Yes');
+  assert.equal(localize('Plain', 'de'), 'Plain');
+  assert.deepEqual(missing, [['de', 'en']]);
+});
+
+test('localizes the text of a survey only', () => {
+  let missing = [];
+  let survey = localizeSurvey(SURVEY, 'fr', (path) => missing.push(path));
+  assert.equal(survey.questions[0].input.inputs[0].value, 'Oui');
+  assert.equal(survey.questions[0].question, 'Do you smoke?');
+  assert.deepEqual(survey.questions[0].showIf, SURVEY.questions[0].showIf);
+  assert.deepEqual(missing, ['instructions', 'questions[0].question']);
+  assert.deepEqual(surveyLocales(SURVEY).sort(), ['en', 'es', 'fr']);
+});
@@ -0,0 +1,31 @@
+/*
+Tests of the placeholders in PJSMod_Piping.js
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { fillTemplate, findPlaceholders, parsePlaceholder } from '../PJSMod_Piping.js';
+
+test('parses placeholders', () => {
+  assert.deepEqual(parsePlaceholder('demo:q3.choice | none'),
+    { fallback: 'none', source: 'answer', set: 'demo', question: 'q3', field: 'choice' });
+  assert.deepEqual(parsePlaceholder('expInfo.participant'),
+    { fallback: '', source: 'expInfo', name: 'participant' });
+  assert.ok(parsePlaceholder('q3.label').error);
+  assert.ok(parsePlaceholder('computed.').error);
+});
+
+test('fills in values, lists and fallbacks', () => {
+  let values = { city: 'Lima', pets: ['cat', 'dog'] };
+  let resolve = (reference) => values[reference.question];
+  assert.equal(fillTemplate('Life in {{city}} with {{pets}}', resolve), 'Life in Lima with cat, dog');
+  assert.equal(fillTemplate('Hello {{name | there}}{{skipped}}!', resolve), 'Hello there!');
+  assert.equal(fillTemplate(42, resolve), 42);
+});
+
+test('finds the placeholders in a text', () => {
+  let found = findPlaceholders('{{q1}} and {{expInfo.group}}');
+  assert.deepEqual(found.map((el) => el.text), ['{{q1}}', '{{expInfo.group}}']);
+  assert.deepEqual(findPlaceholders(undefined), []);
+});
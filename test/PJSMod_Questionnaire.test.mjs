@@ -0,0 +1,202 @@
+/*
+Tests of SurveyQuestionsModule in PJSMod_Questionnaire.js, run through
+PJSMod_Harness.js with scripted participants
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { Clock, Experiment, MemoryStorage, randomParticipant,
+  scriptedParticipant } from '../PJSMod_Harness.js';
+import { SurveyQuestionsModule } from '../PJSMod_Questionnaire.js';
+
+const YES_NO = { type: 'DISCRETE', inputs: [
+  { key: 'y', value: 'Yes', label: 'Yes' },
+  { key: 'n', value: 'No', label: 'No' }
+]};
+const TEXT = { type: 'CONTINUOUS', keyList: 'TEXT' };
+
+// Sets up an experiment asking the surveys given by resource name in order
+function setup(resources, names, options={}) {
+  const experiment = new Experiment({ resources: resources, expInfo: options.expInfo, storage: options.storage });
+  const surveys = new SurveyQuestionsModule(experiment.psychoJS, experiment.expInfo, undefined,
+    new Clock(), [experiment]);
+  if (options.resume) {
+    surveys.enableResume();
+  }
+  if (options.progress) {
+    surveys.showProgress({ style: 'text' });
+  }
+  experiment.flowScheduler.add(() => surveys.initStimuli());
+  names.forEach((name) => surveys.addSurveyQuestions(experiment.flowScheduler, name));
+  return experiment;
+}
+
+// Answers to each question recorded, by record name
+const answers = (result) => Object.fromEntries(result.records.map((el) => [el.name, el.data.value]));
+const shown = (result) => result.path.flatMap((el) => el.texts);
+
+test('asks questions on the path branching takes', () => {
+  const survey = { set: 'demo', linger: 0.01, questions: [
+    { index: 1, name: 'smoke', question: 'Do you smoke?',
+      input: Object.assign({ skips: [{ key: 'n', to: 'alcohol' }] }, YES_NO) },
+    { index: 2, question: 'Every day?', input: YES_NO, jumps: [{ if: { question: 'smoke', equals: 'Yes' }, to: 'end' }] },
+    { index: 3, name: 'alcohol', question: 'Do you drink?', input: YES_NO },
+    { index: 4, question: 'Every week?', input: YES_NO, showIf: { question: 'alcohol', field: 'choice', equals: 'y' } },
+    { index: 5, name: 'end', question: 'All done?', input: YES_NO }
+  ]};
+  let result = setup({ DEMO: survey }, ['DEMO']).run(scriptedParticipant([
+    { on: 'Do you smoke?', do: 'n' },
+    { on: 'Do you drink?', do: 'n' },
+    { on: 'All done?', do: 'y' }
+  ]));
+  assert.equal(result.finished, true);
+  assert.deepEqual(answers(result), { demo_1: 'No', demo_3: 'No', demo_5: 'Yes' });
+
+  result = setup({ DEMO: survey }, ['DEMO']).run(scriptedParticipant([
+    { on: 'Do you smoke?', do: 'y' },
+    { on: 'Every day?', do: 'n' },
+    { on: 'All done?', do: 'y' }
+  ]));
+  assert.deepEqual(answers(result), { demo_1: 'Yes', demo_2: 'No', demo_5: 'Yes' });
+  assert.ok(!shown(result).includes('Do you drink?'));
+});
+
+test('asks the specify steps of answers, and those of specify steps, in order', () => {
+  const survey = { set: 'pets', linger: 0.01, questions: [
+    { index: 1, question: 'Which pets?', input: { type: 'MULTI', inputs: [
+      { key: 'a', value: 'cat' }, { key: 'b', value: 'dog' }, { key: 'o', value: 'other' }
+    ], specify: [
+      { key: 'b', question: 'Which breed?', input: TEXT },
+      { key: 'o', question: 'Is it a bird?', input: Object.assign({
+        specify: [{ key: 'y', question: 'Which bird?', input: TEXT }] }, YES_NO) }
+    ]}}
+  ]};
+  let result = setup({ PETS: survey }, ['PETS']).run(scriptedParticipant([
+    { on: 'Which pets?', do: ['b', 'o', 'return'] },
+    { on: 'Which breed?', do: [{ text: 'Collie' }, 'return'] },
+    { on: 'Is it a bird?', do: 'y' },
+    { on: 'Which bird?', do: [{ text: 'Parrot' }, 'return'] }
+  ]));
+  assert.equal(result.finished, true);
+  let data = result.records[0].data;
+  assert.deepEqual(data.value, ['dog', 'other']);
+  assert.deepEqual(data.specify.map((el) => [el.question, el.value]),
+    [['Which breed?', 'Collie'], ['Is it a bird?', 'Yes'], ['Which bird?', 'Parrot']]);
+});
+
+test('asks the items of grids as questions of their own', () => {
+  const scale = { type: 'DISCRETE', inputs: [{ key: '0', value: 'Never' }, { key: '1', value: 'Often' }] };
+  const survey = { set: 'mood', linger: 0.01, questions: [
+    { grid: 'feelings', question: 'Lately, how often?', input: scale, items: [
+      { index: 1, question: 'Sad' },
+      { index: 2, question: 'Tired' }
+    ]},
+    { grid: 'table', layout: 'table', input: scale, items: [
+      { index: 3, question: 'Worried' },
+      { index: 4, question: 'Restless', showIf: { question: 3, field: 'choice', equals: '1' } }
+    ]}
+  ]};
+  let result = setup({ MOOD: survey }, ['MOOD']).run(scriptedParticipant([
+    { on: /Sad$/, do: '1' },
+    { on: /Tired$/, do: '0' },
+    { on: 'Worried', do: '0' }
+  ]));
+  assert.equal(result.finished, true);
+  assert.deepEqual(answers(result), { mood_1: 'Often', mood_2: 'Never', mood_3: 'Never' });
+  assert.ok(shown(result).includes('Lately, how often?\n\nSad'));
+  // A table shows every item at once, marking the answers given
+  let table = result.path.find((el) => el.texts.includes('Worried')).texts;
+  assert.ok(table.includes('Restless'));
+  assert.ok(shown(result).includes('\u25CF'));
+});
+
+test('pipes earlier answers into the text of tables', () => {
+  const scale = { type: 'DISCRETE', inputs: [{ key: '0', value: 'No' }, { key: '1', value: '{{pet}} does' }] };
+  const survey = { set: 'pets', linger: 0.01, questions: [
+    { index: 1, name: 'pet', question: 'Name of your dog?', input: TEXT },
+    { grid: 'habits', layout: 'table', question: 'About {{pet}}', input: scale, items: [
+      { index: 2, question: '{{pet}} barks' },
+      { index: 3, question: '{{pet}} sleeps' }
+    ]}
+  ]};
+  let result = setup({ PETS: survey }, ['PETS']).run(scriptedParticipant([
+    { on: 'Name of your dog?', do: [{ text: 'Rex' }, 'return'] },
+    { on: 'Rex barks', do: '1' },
+    { on: 'About Rex', do: '0' }
+  ]));
+  assert.equal(result.finished, true);
+  let table = result.path.find((el) => el.texts.includes('Rex barks')).texts;
+  assert.ok(table.includes('Rex sleeps'));
+  assert.ok(table.includes('(1) Rex does'));
+  assert.deepEqual(answers(result), { pets_1: 'Rex', pets_2: 'Rex does', pets_3: 'No' });
+});
+
+test('starts random sliders where the seed of the participant puts them', () => {
+  const survey = { set: 'pain', linger: 0.01, questions: [
+    { index: 1, question: 'How much pain?', input: { type: 'SLIDER', min: 0, max: 100, initial: 'random' } }
+  ]};
+  const starts = ['p1', 'p1', 'p2'].map((participant) => {
+    let result = setup({ PAIN: survey }, ['PAIN'], { expInfo: { participant: participant } })
+      .run(scriptedParticipant([{ on: 'How much pain?', do: 'return' }]));
+    let data = result.records[0].data;
+    assert.equal(data.value, data.initial);
+    assert.equal(typeof data.seed, 'number');
+    return data.initial;
+  });
+  assert.equal(starts[0], starts[1]);
+  assert.notEqual(starts[0], starts[2]);
+});
+
+test('shows the instructions of each survey, one after another', () => {
+  const first = { set: 'a', linger: 0.01, instructions: 'About A', questions: [{ index: 1, question: 'A?', input: YES_NO }] };
+  const second = { set: 'b', linger: 0.01, instructions: 'About B', questions: [{ index: 1, question: 'B?', input: YES_NO }] };
+  let result = setup({ A: first, B: second }, ['A', 'B']).run(randomParticipant({ seed: 1 }), { maxTime: 60 });
+  assert.equal(result.finished, true);
+  assert.deepEqual(result.records.map((el) => el.name), ['a_1', 'b_1']);
+  assert.ok(shown(result).includes('About A'));
+  assert.ok(shown(result).includes('About B'));
+});
+
+test('counts progress across surveys, leaving out questions ruled out', () => {
+  const first = { set: 'a', linger: 0.01, questions: [
+    { index: 1, name: 'smoke', question: 'Smoke?', input: YES_NO },
+    { index: 2, question: 'Daily?', input: YES_NO, showIf: { question: 'smoke', field: 'choice', equals: 'y' } }
+  ]};
+  const second = { set: 'b', linger: 0.01, questions: [
+    { index: 1, question: 'Quit?', input: YES_NO, showIf: { set: 'a', question: 'smoke', field: 'choice', equals: 'y' } },
+    { index: 2, question: 'Drink?', input: YES_NO }
+  ]};
+  let result = setup({ A: first, B: second }, ['A', 'B'], { progress: true }).run(scriptedParticipant([
+    { on: 'Smoke?', do: 'n' },
+    { on: 'Drink?', do: 'y' }
+  ]));
+  assert.equal(result.finished, true);
+  let progress = [...new Set(shown(result).filter((el) => el.startsWith('Question ')))];
+  assert.deepEqual(progress, ['Question 1 of 4', 'Question 2 of 2']);
+});
+
+test('carries on after a reload, saving earlier answers again', () => {
+  const survey = { set: 'demo', linger: 0.01, timeLimit: 6, questions: [
+    { index: 1, question: 'A?', input: YES_NO },
+    { index: 2, question: 'B?', input: YES_NO },
+    { index: 3, question: 'C?', input: YES_NO }
+  ]};
+  const storage = new MemoryStorage();
+  const options = { expInfo: { participant: 'p1' }, storage: storage, resume: true };
+  let result = setup({ DEMO: survey }, ['DEMO'], options).run(scriptedParticipant([
+    { on: 'A?', do: [{ wait: 4 }, 'y'] }
+  ]), { maxTime: 5 });
+  assert.equal(result.finished, false);
+
+  result = setup({ DEMO: survey }, ['DEMO'], options).run(scriptedParticipant([
+    { on: 'B?', do: 'n' }
+  ]), { maxTime: 20 });
+  assert.equal(result.finished, true);
+  assert.ok(!shown(result).includes('A?'));
+  assert.deepEqual(result.records.map((el) => [el.name, el.data.value]),
+    [['demo_1', 'Yes'], ['demo_2', 'No'], ['demo_3', null]]);
+  // The survey's time limit carries on from the 4 seconds used before
+  assert.equal(result.records[2].data.timedOut, true);
+  assert.ok(result.time < 3);
+});
@@ -0,0 +1,57 @@
+/*
+Tests of the question and option orders from PJSMod_Randomization.js
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { itemRandom, makeRandom, randomizeSurvey, surveySeed } from '../PJSMod_Randomization.js';
+
+const questions = (count, fields=() => ({})) => Array.from({ length: count }, (el, i) =>
+  Object.assign({ index: i + 1, question: 'Q' + (i + 1) }, fields(i)));
+const order = (survey, seed) => randomizeSurvey(survey, makeRandom(seed)).map((el) => el.index);
+
+test('gives the same order for the same seed', () => {
+  let survey = { set: 's', randomize: true, questions: questions(8) };
+  assert.deepEqual(order(survey, 7), order(survey, 7));
+  assert.deepEqual([...order(survey, 7)].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(surveySeed(survey, { participant: 'p1' }), surveySeed(survey, { participant: 'p1' }));
+  assert.notEqual(surveySeed(survey, { participant: 'p1' }), surveySeed(survey, { participant: 'p2' }));
+});
+
+test('keeps pinned questions in place', () => {
+  let survey = { set: 's', randomize: { pinned: [1, 8] }, questions: questions(8) };
+  for (let seed = 0; seed < 20; seed++) {
+    let shuffled = order(survey, seed);
+    assert.equal(shuffled[0], 1);
+    assert.equal(shuffled[7], 8);
+  }
+});
+
+test('only shuffles questions within their blocks', () => {
+  let survey = { set: 's', randomize: { method: 'blocks' },
+    questions: questions(6, (i) => i < 3 ? { block: 'a' } : (i < 5 ? { block: 'b' } : {})) };
+  for (let seed = 0; seed < 20; seed++) {
+    let shuffled = order(survey, seed);
+    assert.deepEqual(shuffled.slice(0, 3).sort(), [1, 2, 3]);
+    assert.deepEqual(shuffled.slice(3, 5).sort(), [4, 5]);
+    assert.equal(shuffled[5], 6);
+  }
+});
+
+test('shuffles options, keeping pinned ones', () => {
+  let inputs = ['a', 'b', 'c', 'd', 'o'].map((key) => ({ key: key, value: key }));
+  let survey = { set: 's', questions: [{ index: 1, question: 'Q',
+    input: { type: 'DISCRETE', inputs: inputs, randomize: { pinned: ['o'] } } }] };
+  for (let seed = 0; seed < 20; seed++) {
+    let keys = randomizeSurvey(survey, makeRandom(seed))[0].input.inputs.map((el) => el.key);
+    assert.equal(keys[4], 'o');
+  }
+  assert.equal(survey.questions[0].input.inputs, inputs);
+});
+
+test('gives each item of a survey its own numbers', () => {
+  assert.equal(itemRandom(7, 1)(), itemRandom(7, 1)());
+  assert.notEqual(itemRandom(7, 1)(), itemRandom(7, 2)());
+  assert.notEqual(itemRandom(7, 1)(), itemRandom(8, 1)());
+});
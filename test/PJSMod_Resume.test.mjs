@@ -0,0 +1,54 @@
+/*
+Tests of the progress and records kept by PJSMod_Resume.js
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { MemorySink } from '../PJSMod_DataSinks.js';
+import { clearProgress, loadProgress, loadRecords, progressKey, resendRecords, saveProgress,
+  saveRecords } from '../PJSMod_Resume.js';
+
+// Keeps items in memory as the browser's localStorage would
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+test('makes a key from the participant and session', () => {
+  assert.equal(progressKey({ participant: 'p1', session: '001' }, 'surveys'),
+    'pjsmod_progress_surveys_p1_001');
+  assert.equal(progressKey({ participant: 'p1' }, 'surveys', ['participant']),
+    'pjsmod_progress_surveys_p1');
+  assert.equal(progressKey({}, 'surveys'), undefined);
+});
+
+test('saves, loads and clears progress with its records', () => {
+  globalThis.window = { localStorage: memoryStorage() };
+  saveProgress('key', { runs: [], current: { run: 0 } });
+  saveRecords('key', [{ name: 'demo_1', data: { value: 'Yes' } }]);
+  assert.deepEqual(loadProgress('key'), { runs: [], current: { run: 0 } });
+  assert.deepEqual(loadRecords('key'), [{ name: 'demo_1', data: { value: 'Yes' } }]);
+  clearProgress('key');
+  assert.equal(loadProgress('key'), undefined);
+  assert.deepEqual(loadRecords('key'), []);
+});
+
+test('carries on without localStorage', () => {
+  globalThis.window = {};
+  saveProgress('key', { runs: [] });
+  assert.equal(loadProgress('key'), undefined);
+});
+
+test('resends records only to sinks which do not keep them', () => {
+  let lost = new MemorySink();
+  let kept = new MemorySink();
+  kept.persists = true;
+  resendRecords([{ name: 'demo_1', data: { value: 'Yes' } }], [lost, kept]);
+  assert.deepEqual(lost.records, [{ name: 'demo_1', data: { value: 'Yes' } }]);
+  assert.deepEqual(kept.records, []);
+});
@@ -0,0 +1,51 @@
+/*
+Tests of the subscale scoring in PJSMod_Scoring.js
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { itemScore, scoreRange, scoreSurvey } from '../PJSMod_Scoring.js';
+
+const SCALE = { type: 'DISCRETE', inputs: [
+  { key: '0', value: 'Never', score: 0 },
+  { key: '1', value: 'Sometimes', score: 1 },
+  { key: '2', value: 'Often', score: 2 }
+]};
+const SURVEY = {
+  set: 'mood',
+  questions: [
+    { grid: 'items', input: SCALE, items: [
+      { index: 1, question: 'Sad?' },
+      { index: 2, question: 'Tired?' },
+      { index: 3, name: 'calm', question: 'Calm?' }
+    ]},
+    { index: 4, question: 'Days?', input: { type: 'CONTINUOUS', keyList: 'NUMBERS' } }
+  ],
+  scoring: { subscales: [
+    { name: 'total', items: [1, 2, 'calm'], reverse: ['calm'] },
+    { name: 'mean', items: [1, 2, 3], method: 'mean', maxMissing: 1 },
+    { name: 'prorated', items: [1, 2, 3], maxMissing: 1, prorate: true }
+  ]}
+};
+
+test('scores subscales, reversing items', () => {
+  let answers = { 1: { choice: '2', value: 'Often' }, 2: { choice: '1', value: 'Sometimes' },
+    calm: { choice: '0', value: 'Never' } };
+  let { scores, answered } = scoreSurvey(SURVEY, (item) => answers[item]);
+  assert.deepEqual(scores, { total: 5, mean: 1.5, prorated: 4.5 });
+  assert.deepEqual(answered, { total: 3, mean: 2, prorated: 2 });
+});
+
+test('gives no score with too many items missing', () => {
+  let answers = { 1: { choice: '2', value: 'Often' } };
+  let { scores } = scoreSurvey(SURVEY, (item) => answers[item]);
+  assert.deepEqual(scores, { total: null, mean: null, prorated: null });
+});
+
+test('scores typed answers and finds ranges', () => {
+  assert.equal(itemScore(SURVEY.questions[1], { value: '12' }), 12);
+  assert.equal(itemScore(SURVEY.questions[1], { value: '' }), undefined);
+  assert.deepEqual(scoreRange({ input: SCALE }), [0, 2]);
+  assert.deepEqual(scoreRange({ input: { type: 'SLIDER', min: 1, max: 7 } }), [1, 7]);
+});
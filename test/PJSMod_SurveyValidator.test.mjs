@@ -0,0 +1,77 @@
+/*
+Tests of the survey checks in PJSMod_SurveyValidator.js
+*/
+
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { validateSurvey } from '../PJSMod_SurveyValidator.js';
+
+const YES_NO = { type: 'DISCRETE', inputs: [{ key: 'y', value: 'Yes' }, { key: 'n', value: 'No' }] };
+
+test('accepts a well formed survey', () => {
+  let survey = { set: 'demo', linger: 0.5, questions: [
+    { index: 1, name: 'smoke', question: 'Do you smoke?', input: YES_NO, jumps: [{ if: true, to: 'end' }] },
+    { index: 2, question: 'How many a day?', input: { type: 'CONTINUOUS', keyList: 'NUMBERS' },
+      showIf: { question: 'smoke', field: 'choice', equals: 'y' } },
+    { index: 3, name: 'end', question: 'Thanks?', input: YES_NO }
+  ]};
+  assert.deepEqual(validateSurvey(survey), { errors: [], warnings: [] });
+});
+
+test('reports missing fields and unknown types', () => {
+  let { errors } = validateSurvey({ set: 'demo', questions: [{ question: 'A', input: { type: 'NOPE' } }] });
+  assert.deepEqual(errors, ['linger: missing', 'questions[0].index: missing',
+    'questions[0].input.type: unknown type NOPE']);
+});
+
+test('reports jumps and skips which do not go forward', () => {
+  let survey = { set: 'demo', linger: 0, questions: [
+    { index: 1, name: 'one', question: 'A', input: YES_NO },
+    { index: 2, question: 'B', input: YES_NO, jumps: [{ if: true, to: 'one' }] },
+    { index: 3, question: 'C', input: Object.assign({ skips: [{ key: 'y', to: 'nowhere' }] }, YES_NO) }
+  ]};
+  assert.deepEqual(validateSurvey(survey).errors, ['questions[1].jumps[0].to: one is not after this question',
+    'questions[2].input.skips[0].to: nowhere not found']);
+});
+
+test('reports jumps which shuffling can turn around', () => {
+  let questions = [
+    { index: 1, question: 'A', input: YES_NO, jumps: [{ if: true, to: 'three' }] },
+    { index: 2, question: 'B', input: YES_NO },
+    { index: 3, name: 'three', question: 'C', input: YES_NO }
+  ];
+  assert.deepEqual(validateSurvey({ set: 'demo', linger: 0, randomize: true, questions: questions }).errors,
+    ['questions[0].jumps[0].to: three may come before this question once the questions are shuffled, ' +
+     'pin both to keep their positions']);
+  let pinned = { set: 'demo', linger: 0, randomize: { pinned: [1, 'three'] }, questions: questions };
+  assert.deepEqual(validateSurvey(pinned).errors, []);
+});
+
+test('reports conditions on the values of options in several languages', () => {
+  let survey = { set: 'demo', linger: 0, questions: [
+    { index: 1, question: 'A', input: { type: 'DISCRETE', inputs: [{ key: 'y', value: { en: 'Yes', es: 'Sí' } }] } },
+    { index: 2, question: 'B', input: YES_NO, showIf: { question: 1, equals: 'Yes' } },
+    { index: 3, question: 'C', input: YES_NO, showIf: { question: 1, field: 'choice', equals: 'y' } }
+  ]};
+  assert.deepEqual(validateSurvey(survey).errors, ['questions[1].showIf: compares the value of 1, whose ' +
+    'options are in several languages, compare its "choice" instead']);
+});
+
+test('warns about back keys which are also answer keys', () => {
+  let survey = { set: 'demo', linger: 0, allowBack: true, questions: [
+    { index: 1, question: 'Name?', input: { type: 'CONTINUOUS' } },
+    { index: 2, question: 'Age?', input: { type: 'CONTINUOUS', keyList: 'NUMBERS' } }
+  ]};
+  assert.deepEqual(validateSurvey(survey).warnings, ['questions[0].input: back key b is also an answer ' +
+    'key, only the back button goes back from here']);
+});
+
+test('checks conditions on other sets against the surveys before', () => {
+  let survey = { set: 'follow', linger: 0, questions: [
+    { index: 1, question: 'A', input: YES_NO, showIf: { set: 'demo', question: 'smoke', equals: 'Yes' } }
+  ]};
+  let demo = { set: 'demo', linger: 0, questions: [{ index: 1, name: 'smoke', question: 'S', input: YES_NO }] };
+  assert.deepEqual(validateSurvey(survey).warnings, ['questions[0].showIf.set: demo is not a known earlier set']);
+  assert.deepEqual(validateSurvey(survey, [demo]), { errors: [], warnings: [] });
+});